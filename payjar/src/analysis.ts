@@ -0,0 +1,1029 @@
+// Static analysis of PayJar source for the editor features in extension.ts: which declaration
+// each name in a program refers to. It works on the AST recovered from syntax errors, so a
+// file that does not parse still gets results for the parts that do.
+import { ASTNode, BUILTIN_FUNCTIONS, EMPTY_SPAN, Lexer, MainDefinitionNode, Parser, PayJarError, SourcePosition, SourceSpan, Token, TokenType } from './payjar';
+
+export type NameKind = 'class' | 'function' | 'method' | 'field' | 'parameter' | 'variable' | 'self' | 'builtin';
+
+// A declared name. `self` and built-ins have no declaration in the source.
+export interface PayJarSymbol {
+    name: string;
+    kind: NameKind;
+    readonly: boolean;
+    span: SourceSpan | null;
+    // Class declaring a field or method.
+    owner: string | null;
+    // Class of the object a variable or field is initialised with, as in `let c = NEW Counter();`.
+    class_name: string | null;
+    visibility: 'public' | 'private';
+    // Parameters of a function or method, without `self`.
+    parameters: string[] | null;
+}
+
+// One occurrence of a name in the source.
+export interface NameReference {
+    span: SourceSpan;
+    symbol: PayJarSymbol;
+    declaration: boolean;
+}
+
+export interface ClassInfo {
+    symbol: PayJarSymbol;
+    base: string | null;
+    members: Map<string, PayJarSymbol>;
+    node: ASTNode;
+}
+
+// The names declared in a block, function or loop header, and the part of the source they belong to.
+export interface ScopeInfo {
+    span: SourceSpan;
+    symbols: PayJarSymbol[];
+    function: boolean;
+}
+
+export interface Analysis {
+    ast: MainDefinitionNode;
+    tokens: Token[];
+    // In source order.
+    references: NameReference[];
+    classes: Map<string, ClassInfo>;
+    // Top-level functions.
+    functions: Map<string, PayJarSymbol>;
+    scopes: ScopeInfo[];
+    // Names declared twice in the same scope, class or top level.
+    redeclarations: number;
+    errors: PayJarError[];
+}
+
+/**
+ * Lexes, parses and resolves a PayJar program without running it. Lexer and syntax errors are
+ * all collected, in source order, rather than stopping at the first one.
+ */
+export function analyze(code: string): Analysis {
+    const { tokens, errors: lexerErrors } = new Lexer(code).tokenizeWithRecovery();
+    const result = new Parser(tokens).parseWithRecovery();
+    const errors = [...lexerErrors, ...result.errors]
+        .sort((a, b) => comparePositions(a.span ?? EMPTY_SPAN, b.span ?? EMPTY_SPAN));
+
+    const resolver = new NameResolver();
+    resolver.resolveProgram(result.ast, tokens);
+    const references = resolver.references.sort((a, b) => comparePositions(a.span, b.span));
+    const scopes = resolver.scopes
+        .filter(scope => scope.span)
+        .map(scope => ({ span: scope.span!, symbols: scope.symbols(), function: scope.isFunction }));
+    return {
+        ast: result.ast, tokens, references, classes: resolver.classes, functions: resolver.functions, scopes,
+        redeclarations: resolver.redeclarations, errors
+    };
+}
+
+// The name token of the main class, which the AST does not keep.
+function mainClassName(tokens: Token[]): Token | null {
+    if (tokens[0]?.type === 'PUBLIC' && tokens[1]?.type === 'CLASS' && tokens[2]) {
+        return tokens[2];
+    }
+    return null;
+}
+
+function comparePositions(a: SourceSpan, b: SourceSpan): number {
+    return a.start.line - b.start.line || a.start.column - b.start.column;
+}
+
+function isAtOrBefore(a: SourcePosition, b: SourcePosition): boolean {
+    return a.line < b.line || (a.line === b.line && a.column <= b.column);
+}
+
+// Whether a position is within a span, counting the positions at either end.
+function spanContains(span: SourceSpan, position: SourcePosition): boolean {
+    return isAtOrBefore(span.start, position) && isAtOrBefore(position, span.end);
+}
+
+function createSymbol(name: string, kind: NameKind, span: SourceSpan | null, options: Partial<PayJarSymbol> = {}): PayJarSymbol {
+    return { name, kind, span, readonly: false, owner: null, class_name: null, visibility: 'public', parameters: null, ...options };
+}
+
+// The constructor and methods of a class definition.
+function classMethods(node: ASTNode): ASTNode[] {
+    return node.ctor ? [node.ctor, ...node.methods] : node.methods;
+}
+
+// The parameters a call passes arguments to: all of them but `self`.
+function callParameters(node: ASTNode): string[] {
+    return (node.parameters as string[]).filter(name => name !== 'self');
+}
+
+// A field or method of a class or its base classes.
+function findMember(classes: Map<string, ClassInfo>, className: string | null, name: string): PayJarSymbol | null {
+    const visited = new Set<string>();
+    while (className && !visited.has(className)) {
+        visited.add(className);
+        const info = classes.get(className);
+        const member = info?.members.get(name);
+        if (member) {
+            return member;
+        }
+        className = info?.base ?? null;
+    }
+    return null;
+}
+
+const END_OF_SOURCE: SourcePosition = { line: Number.MAX_SAFE_INTEGER, column: 0 };
+
+// Where each `{ }` pair of the program starts and ends. A brace left open runs to the end of the source.
+function braceBlocks(tokens: Token[]): SourceSpan[] {
+    const blocks: SourceSpan[] = [];
+    const open: SourcePosition[] = [];
+    for (const token of tokens) {
+        if (token.type === 'LBRACE') {
+            open.push(token.span.start);
+        } else if (token.type === 'RBRACE' && open.length > 0) {
+            blocks.push({ start: open.pop()!, end: token.span.end });
+        }
+    }
+    for (const start of open) {
+        blocks.push({ start, end: END_OF_SOURCE });
+    }
+    return blocks;
+}
+
+const SELF_SYMBOL = createSymbol('self', 'self', null, { readonly: true });
+
+// Variables visible at one point of the program. Function bodies are resolved when the block
+// that defines them ends, so that they see every name of that block, as they do when called.
+class Scope {
+    private names = new Map<string, PayJarSymbol>();
+    public deferred: (() => void)[] = [];
+
+    // `span` is where the names of the scope can be used, if known.
+    constructor(public parent: Scope | null, public span: SourceSpan | null, public isFunction: boolean) {}
+
+    // Returns false if the scope already had a declaration of the name.
+    public declare(symbol: PayJarSymbol): boolean {
+        const fresh = !this.names.has(symbol.name);
+        this.names.set(symbol.name, symbol);
+        return fresh;
+    }
+
+    public lookup(name: string): PayJarSymbol | null {
+        return this.names.get(name) ?? this.parent?.lookup(name) ?? null;
+    }
+
+    public symbols(): PayJarSymbol[] {
+        return [...this.names.values()];
+    }
+}
+
+// Follows the Interpreter's lookup rules: a variable, then (for bare calls inside a class) a
+// method of the current class, then a top-level function, then a built-in.
+class NameResolver {
+    public references: NameReference[] = [];
+    public classes = new Map<string, ClassInfo>();
+    public functions = new Map<string, PayJarSymbol>();
+    public scopes: Scope[] = [];
+    public redeclarations = 0;
+    private blocks: SourceSpan[] = [];
+    private builtins = new Map(BUILTIN_FUNCTIONS.map(f => [f.name, createSymbol(f.name, 'builtin', null, { readonly: true })]));
+    private current_class: string | null = null;
+
+    public resolveProgram(ast: MainDefinitionNode, tokens: Token[]): void {
+        this.blocks = braceBlocks(tokens);
+        const mainName = mainClassName(tokens);
+        if (mainName) {
+            this.reference(mainName.span, createSymbol(mainName.value, 'class', mainName.span), true);
+        }
+        // Classes and top-level functions can be used before their definition.
+        for (const statement of ast.body) {
+            if (statement.type === "class_definition") {
+                this.declareClass(statement);
+            } else if (statement.type === "function_definition") {
+                const symbol = createSymbol(statement.name, 'function', statement.name_span, { parameters: callParameters(statement) });
+                this.declareIn(this.functions, symbol);
+                this.reference(statement.name_span, symbol, true);
+            }
+        }
+
+        // Top-level names stay in scope while the end of the main class is still being typed.
+        const globals = this.openScope(null, { start: { line: 0, column: 0 }, end: END_OF_SOURCE });
+        for (const statement of ast.body) {
+            if (statement.type === "class_definition") {
+                this.resolveClass(statement, globals);
+            } else if (statement.type === "function_definition") {
+                globals.deferred.push(() => this.resolveFunction(statement, globals, null));
+            } else {
+                this.resolve(statement, globals);
+            }
+        }
+        this.flush(globals);
+    }
+
+    private declareClass(node: ASTNode): void {
+        const info: ClassInfo = {
+            symbol: createSymbol(node.name, 'class', node.name_span),
+            base: node.base,
+            members: new Map(),
+            node,
+        };
+        this.reference(node.name_span, info.symbol, true);
+        for (const field of node.fields) {
+            const symbol = createSymbol(field.name, 'field', field.name_span, {
+                owner: node.name,
+                readonly: field.kind === 'CONST',
+                class_name: field.value?.type === "object_creation" ? field.value.class_name : null,
+                visibility: field.visibility,
+            });
+            this.declareIn(info.members, symbol);
+            this.reference(field.name_span, symbol, true);
+        }
+        for (const method of classMethods(node)) {
+            const symbol = createSymbol(method.name, 'method', method.name_span, {
+                owner: node.name,
+                visibility: method.visibility,
+                parameters: callParameters(method),
+            });
+            this.declareIn(info.members, symbol);
+            this.reference(method.name_span, symbol, true);
+        }
+        // Like the Interpreter, the first definition of a class name is the one that counts.
+        if (this.classes.has(node.name)) {
+            this.redeclarations++;
+        } else {
+            this.classes.set(node.name, info);
+        }
+    }
+
+    private resolveClass(node: ASTNode, globals: Scope): void {
+        if (node.base_span) {
+            this.referenceClass(node.base, node.base_span);
+        }
+        this.current_class = node.name;
+        for (const field of node.fields) {
+            this.resolve(field.value, globals);
+        }
+        for (const method of classMethods(node)) {
+            globals.deferred.push(() => this.resolveFunction(method, globals, node.name));
+        }
+        this.current_class = null;
+    }
+
+    // Parameters and body of a function, method or function expression.
+    private resolveFunction(node: ASTNode, scope: Scope, className: string | null): void {
+        const enclosingClass = this.current_class;
+        this.current_class = className;
+        const body = this.openScope(scope, node.span ?? null, true);
+        (node.parameters as string[]).forEach((name, i) => {
+            const span = node.parameter_spans?.[i];
+            if (name === 'self') {
+                if (span) {
+                    this.reference(span, SELF_SYMBOL, false);
+                }
+                return;
+            }
+            const symbol = createSymbol(name, 'parameter', span ?? null);
+            this.declareIn(body, symbol);
+            if (span) {
+                this.reference(span, symbol, true);
+            }
+        });
+        this.resolveStatements(node.body, body);
+        this.flush(body);
+        this.current_class = enclosingClass;
+    }
+
+    private resolveBlock(statements: ASTNode[] | null, parent: Scope): void {
+        if (!statements) {
+            return;
+        }
+        const scope = this.openScope(parent, this.blockOf(statements));
+        this.resolveStatements(statements, scope);
+        this.flush(scope);
+    }
+
+    private resolveStatements(statements: ASTNode[], scope: Scope): void {
+        for (const statement of statements) {
+            this.resolve(statement, scope);
+        }
+    }
+
+    private openScope(parent: Scope | null, span: SourceSpan | null, isFunction: boolean = false): Scope {
+        const scope = new Scope(parent, span, isFunction);
+        this.scopes.push(scope);
+        return scope;
+    }
+
+    // The braces around a block of statements, which the AST does not keep.
+    private blockOf(statements: ASTNode[]): SourceSpan | null {
+        const first = statements.find(statement => statement.span)?.span?.start;
+        let innermost: SourceSpan | null = null;
+        for (const block of first ? this.blocks : []) {
+            if (spanContains(block, first!) && (!innermost || isAtOrBefore(innermost.start, block.start))) {
+                innermost = block;
+            }
+        }
+        return innermost;
+    }
+
+    private flush(scope: Scope): void {
+        while (scope.deferred.length > 0) {
+            scope.deferred.shift()!();
+        }
+    }
+
+    private resolve(node: ASTNode | null | undefined, scope: Scope): void {
+        if (!node) {
+            return;
+        }
+        switch (node.type) {
+            case "variable_declaration": {
+                this.resolve(node.value, scope);
+                const symbol = createSymbol(node.name, 'variable', node.name_span, {
+                    readonly: node.kind === 'CONST',
+                    class_name: node.value?.type === "object_creation" ? node.value.class_name : null,
+                });
+                this.declareIn(scope, symbol);
+                this.reference(node.name_span, symbol, true);
+                return;
+            }
+            case "assignment_statement":
+                this.resolve(node.value, scope);
+                this.referenceVariable(node.name, node.name_span, scope);
+                return;
+            case "variable_access":
+                if (node.name === 'self') {
+                    this.reference(node.span!, SELF_SYMBOL, false);
+                } else {
+                    this.referenceVariable(node.name, node.span!, scope);
+                }
+                return;
+            case "function_call": {
+                const symbol = scope.lookup(node.name) ?? findMember(this.classes, this.current_class, node.name)
+                    ?? this.functions.get(node.name) ?? this.builtins.get(node.name);
+                if (symbol) {
+                    this.reference(node.name_span, symbol, false);
+                }
+                this.resolveAll(node.arguments, scope);
+                return;
+            }
+            case "super_call": {
+                const base = this.current_class ? this.classes.get(this.current_class)?.base ?? null : null;
+                const method = findMember(this.classes, base, node.method);
+                if (method && node.method_span) {
+                    this.reference(node.method_span, method, false);
+                }
+                this.resolveAll(node.arguments, scope);
+                return;
+            }
+            case "object_creation":
+                this.referenceClass(node.class_name, node.name_span);
+                this.resolveAll(node.arguments, scope);
+                return;
+            case "member_access":
+            case "member_assignment":
+                this.resolve(node.object, scope);
+                this.referenceMember(node, scope);
+                this.resolveAll(node.arguments ?? [], scope);
+                this.resolve(node.value, scope);
+                return;
+            case "function_definition": {
+                // A function defined inside a block is a constant of that block.
+                const symbol = createSymbol(node.name, 'function', node.name_span, { readonly: true, parameters: callParameters(node) });
+                this.declareIn(scope, symbol);
+                this.reference(node.name_span, symbol, true);
+                const className = this.current_class;
+                scope.deferred.push(() => this.resolveFunction(node, scope, className));
+                return;
+            }
+            case "function_expression": {
+                const className = this.current_class;
+                scope.deferred.push(() => this.resolveFunction(node, scope, className));
+                return;
+            }
+            case "class_definition":
+                return; // Only allowed at the top level, see resolveProgram
+            case "if_statement":
+                this.resolve(node.condition, scope);
+                this.resolveBlock(node.then_branch, scope);
+                this.resolveBlock(node.else_branch, scope);
+                return;
+            case "while_statement":
+                this.resolve(node.condition, scope);
+                this.resolveBlock(node.body, scope);
+                return;
+            case "for_statement": {
+                const loop = this.openScope(scope, node.span ?? null);
+                this.resolve(node.init, loop);
+                this.resolve(node.condition, loop);
+                this.resolve(node.update, loop);
+                this.resolveBlock(node.body, loop);
+                this.flush(loop);
+                return;
+            }
+            case "for_in_statement": {
+                this.resolve(node.iterable, scope);
+                const loop = this.openScope(scope, node.span ?? null);
+                const symbol = createSymbol(node.name, 'variable', node.name_span, { readonly: node.kind === 'CONST' });
+                this.declareIn(loop, symbol);
+                this.reference(node.name_span, symbol, true);
+                this.resolveBlock(node.body, loop);
+                this.flush(loop);
+                return;
+            }
+            case "try_statement":
+                this.resolveBlock(node.body, scope);
+                if (node.catch_body) {
+                    const handler = this.openScope(scope, node.span ? { start: node.catch_name_span.start, end: node.span.end } : null);
+                    const symbol = createSymbol(node.catch_name, 'variable', node.catch_name_span);
+                    this.declareIn(handler, symbol);
+                    this.reference(node.catch_name_span, symbol, true);
+                    this.resolveBlock(node.catch_body, handler);
+                    this.flush(handler);
+                }
+                this.resolveBlock(node.finally_body, scope);
+                return;
+            default:
+                this.resolveChildren(node, scope);
+        }
+    }
+
+    private resolveAll(nodes: ASTNode[], scope: Scope): void {
+        for (const node of nodes) {
+            this.resolve(node, scope);
+        }
+    }
+
+    // Nodes without names of their own, such as operators and literals.
+    private resolveChildren(node: ASTNode, scope: Scope): void {
+        for (const [key, child] of Object.entries(node)) {
+            if (!key.endsWith('span')) {
+                this.resolveValue(child, scope);
+            }
+        }
+    }
+
+    // Child nodes are held directly, in arrays, or in plain objects such as map entries.
+    private resolveValue(value: any, scope: Scope): void {
+        if (Array.isArray(value)) {
+            value.forEach(element => this.resolveValue(element, scope));
+        } else if (value && typeof value === 'object') {
+            if (typeof value.type === 'string') {
+                this.resolve(value, scope);
+            } else {
+                Object.values(value).forEach(child => this.resolveValue(child, scope));
+            }
+        }
+    }
+
+    private referenceVariable(name: string, span: SourceSpan, scope: Scope): void {
+        const symbol = scope.lookup(name) ?? this.functions.get(name) ?? this.builtins.get(name);
+        if (symbol) {
+            this.reference(span, symbol, false);
+        }
+    }
+
+    private referenceClass(name: string, span: SourceSpan | null): void {
+        const info = this.classes.get(name);
+        if (info && span) {
+            this.reference(span, info.symbol, false);
+        }
+    }
+
+    // Members of objects whose class is known resolve to the field or method; others are
+    // still recorded, as a method when called and a field otherwise.
+    private referenceMember(node: ASTNode, scope: Scope): void {
+        if (!node.member_span) {
+            return;
+        }
+        const symbol = findMember(this.classes, this.classOf(node.object, scope), node.member)
+            ?? createSymbol(node.member, node.is_call ? 'method' : 'field', null);
+        this.reference(node.member_span, symbol, false);
+    }
+
+    // The class of an expression's value, where it is evident from the source.
+    private classOf(node: ASTNode, scope: Scope): string | null {
+        switch (node.type) {
+            case "object_creation":
+                return node.class_name;
+            case "variable_access":
+                return node.name === 'self' ? this.current_class : scope.lookup(node.name)?.class_name ?? null;
+            case "member_access":
+                return node.is_call ? null : findMember(this.classes, this.classOf(node.object, scope), node.member)?.class_name ?? null;
+            default:
+                return null;
+        }
+    }
+
+    // Adds a declaration to a scope or name table, counting names declared twice in the same
+    // place. Name tables keep the first declaration, as the Interpreter does.
+    private declareIn(names: Scope | Map<string, PayJarSymbol>, symbol: PayJarSymbol): void {
+        if (names instanceof Scope) {
+            if (!names.declare(symbol)) {
+                this.redeclarations++;
+            }
+        } else if (names.has(symbol.name)) {
+            this.redeclarations++;
+        } else {
+            names.set(symbol.name, symbol);
+        }
+    }
+
+    private reference(span: SourceSpan, symbol: PayJarSymbol, declaration: boolean): void {
+        this.references.push({ span, symbol, declaration });
+    }
+}
+
+// --- Navigation and Rename ---
+
+/**
+ * The name at a position, which may also be just after its last character.
+ */
+export function referenceAt(analysis: Analysis, position: SourcePosition): NameReference | null {
+    return analysis.references.find(({ span }) => spanContains(span, position)) ?? null;
+}
+
+/**
+ * Every occurrence of a declared name, its declaration included, in source order.
+ */
+export function referencesTo(analysis: Analysis, symbol: PayJarSymbol): NameReference[] {
+    return analysis.references.filter(reference => reference.symbol === symbol);
+}
+
+/**
+ * Why a name cannot be renamed whatever the new name is, or null if it can be. Members are only
+ * renamed when every use of their name is known to be theirs, and not when they override, or
+ * are overridden by, a member of a related class.
+ */
+export function renameBlocker(analysis: Analysis, symbol: PayJarSymbol): string | null {
+    if (symbol.kind === 'self' || symbol.kind === 'builtin') {
+        return `'${symbol.name}' is built in and cannot be renamed.`;
+    }
+    if (!symbol.span) {
+        return `The class of this object is not known, so '${symbol.name}' cannot be renamed safely.`;
+    }
+    if (!symbol.owner) {
+        return null;
+    }
+    const unknownUse = analysis.references.some(({ symbol: other }) =>
+        !other.span && (other.kind === 'field' || other.kind === 'method') && other.name === symbol.name);
+    if (unknownUse) {
+        return `Some uses of '${symbol.name}' are on objects of unknown class, so it cannot be renamed safely.`;
+    }
+    const related = relatedClasses(analysis, symbol.owner).find(info => info.members.has(symbol.name));
+    if (related) {
+        return `'${symbol.name}' is also declared in the related class '${related.symbol.name}'.`;
+    }
+    return null;
+}
+
+export type RenameResult = { spans: SourceSpan[] } | { error: string };
+
+/**
+ * Plans renaming the name at a position to `newName`, returning the spans to replace. The
+ * renamed program is analysed again and the rename refused unless every name in it still refers
+ * to the same declaration, so that a new name shadowing, or shadowed by, another declaration
+ * is caught wherever scopes nest, as well as names declared twice in one scope.
+ */
+export function planRename(analysis: Analysis, code: string, position: SourcePosition, newName: string): RenameResult {
+    const reference = referenceAt(analysis, position);
+    if (!reference) {
+        return { error: "There is no name to rename here." };
+    }
+    const { symbol } = reference;
+    const blocker = renameBlocker(analysis, symbol);
+    if (blocker) {
+        return { error: blocker };
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(newName)) {
+        return { error: `'${newName}' is not a valid name.` };
+    }
+    if (Lexer.isKeyword(newName)) {
+        return { error: `'${newName}' is a keyword.` };
+    }
+    const spans = referencesTo(analysis, symbol).map(({ span }) => span);
+    if (newName === symbol.name) {
+        return { spans };
+    }
+    if (symbol.owner) {
+        const clash = [analysis.classes.get(symbol.owner), ...relatedClasses(analysis, symbol.owner)]
+            .find(info => info?.members.has(newName));
+        if (clash) {
+            return { error: `Class '${clash.symbol.name}' already has a member named '${newName}'.` };
+        }
+    }
+    const renamed = analyze(replaceSpans(code, spans, newName));
+    if (renamed.redeclarations > analysis.redeclarations) {
+        return { error: `'${newName}' is already declared in the same scope.` };
+    }
+    const bindings = bindingKeys(analysis);
+    const renamedBindings = bindingKeys(renamed);
+    if (bindings.length !== renamedBindings.length || bindings.some((key, i) => key !== renamedBindings[i])) {
+        return { error: `Renaming '${symbol.name}' to '${newName}' would change which declaration some names refer to.` };
+    }
+    return { spans };
+}
+
+// The base classes of a class and the classes extending it, directly or not.
+function relatedClasses(analysis: Analysis, className: string): ClassInfo[] {
+    const ancestry = (name: string) => {
+        const chain: string[] = [];
+        for (let info = analysis.classes.get(name); info?.base && !chain.includes(info.base); info = analysis.classes.get(info.base)) {
+            chain.push(info.base);
+        }
+        return chain;
+    };
+    return [...analysis.classes.values()].filter(info => info.symbol.name !== className &&
+        (ancestry(className).includes(info.symbol.name) || ancestry(info.symbol.name).includes(className)));
+}
+
+// What each name occurrence refers to, comparable between two versions of a program: declared
+// names by the order of their declarations, others by kind and name.
+function bindingKeys(analysis: Analysis): string[] {
+    const declarations = new Map<PayJarSymbol, number>();
+    for (const { symbol, declaration } of analysis.references) {
+        if (declaration && !declarations.has(symbol)) {
+            declarations.set(symbol, declarations.size);
+        }
+    }
+    return analysis.references.map(({ symbol }) =>
+        declarations.has(symbol) ? `#${declarations.get(symbol)}` : `${symbol.kind} ${symbol.name}`);
+}
+
+// Replaces single-line spans of the code with a text.
+function replaceSpans(code: string, spans: SourceSpan[], text: string): string {
+    const lines = code.split('\n');
+    const fromLast = [...spans].sort((a, b) => comparePositions(b, a));
+    for (const { start, end } of fromLast) {
+        const line = lines[start.line];
+        lines[start.line] = line.slice(0, start.column) + text + line.slice(end.column);
+    }
+    return lines.join('\n');
+}
+
+// --- Semantic Tokens ---
+
+export const SEMANTIC_TOKEN_TYPES = ['class', 'function', 'method', 'parameter', 'variable', 'property'];
+export const SEMANTIC_TOKEN_MODIFIERS = ['declaration', 'readonly', 'defaultLibrary'];
+
+export interface SemanticToken {
+    span: SourceSpan;
+    type: string;
+    modifiers: string[];
+}
+
+const SEMANTIC_TYPE_OF_KIND: { [kind in NameKind]: string } = {
+    class: 'class',
+    function: 'function',
+    method: 'method',
+    parameter: 'parameter',
+    variable: 'variable',
+    field: 'property',
+    self: 'variable',
+    builtin: 'function',
+};
+
+/**
+ * Classifies every resolved name of a program, in source order. `self` is a read-only variable
+ * and built-ins are functions, both with the `defaultLibrary` modifier.
+ */
+export function semanticTokens(analysis: Analysis): SemanticToken[] {
+    return analysis.references.map(({ span, symbol, declaration }) => {
+        const modifiers: string[] = [];
+        if (declaration) {
+            modifiers.push('declaration');
+        }
+        if (symbol.readonly) {
+            modifiers.push('readonly');
+        }
+        if (symbol.kind === 'self' || symbol.kind === 'builtin') {
+            modifiers.push('defaultLibrary');
+        }
+        return { span, type: SEMANTIC_TYPE_OF_KIND[symbol.kind], modifiers };
+    });
+}
+
+// --- Outline ---
+
+export type OutlineKind = 'class' | 'field' | 'constant' | 'constructor' | 'method' | 'function' | 'variable';
+
+export interface OutlineSymbol {
+    name: string;
+    kind: OutlineKind;
+    // Parameters of functions and methods, and `private` for private members.
+    detail: string;
+    // The whole definition, and the name within it.
+    span: SourceSpan;
+    selection_span: SourceSpan;
+    children: OutlineSymbol[];
+}
+
+/**
+ * The definitions of a program as a tree: the main class, holding its classes (with their
+ * fields, constructor and methods), top-level functions and top-level variables.
+ */
+export function outline(analysis: Analysis): OutlineSymbol[] {
+    const mainName = mainClassName(analysis.tokens);
+    if (!mainName) {
+        return [];
+    }
+    const children: OutlineSymbol[] = [];
+    for (const statement of analysis.ast.body) {
+        if (statement.type === "class_definition") {
+            const members = [
+                ...statement.fields.map((field: ASTNode) => outlineSymbol(field, field.kind === 'CONST' ? 'constant' : 'field')),
+                ...classMethods(statement).map(method => outlineSymbol(method, method.name === 'init' ? 'constructor' : 'method')),
+            ];
+            const detail = statement.base ? `extends ${statement.base}` : '';
+            children.push(outlineSymbol(statement, 'class', detail, members));
+        } else if (statement.type === "function_definition") {
+            children.push(outlineSymbol(statement, 'function'));
+        } else if (statement.type === "variable_declaration") {
+            children.push(outlineSymbol(statement, statement.kind === 'CONST' ? 'constant' : 'variable'));
+        }
+    }
+    return [{
+        name: mainName.value,
+        kind: 'class',
+        detail: 'main',
+        span: analysis.ast.span ?? mainName.span,
+        selection_span: mainName.span,
+        children,
+    }];
+}
+
+function outlineSymbol(node: ASTNode, kind: OutlineKind, detail: string = '', children: OutlineSymbol[] = []): OutlineSymbol {
+    const details: string[] = [];
+    if (node.visibility === 'private') {
+        details.push('private');
+    }
+    if (node.type === "function_definition") {
+        details.push(`(${callParameters(node).join(', ')})`);
+    }
+    if (detail) {
+        details.push(detail);
+    }
+    return { name: node.name, kind, detail: details.join(' '), span: node.span!, selection_span: node.name_span, children };
+}
+
+// --- Completion ---
+
+export type CompletionKind = NameKind | 'keyword';
+
+export interface Completion {
+    label: string;
+    kind: CompletionKind;
+    // Parameters, the class of a variable or a built-in's signature.
+    detail: string;
+    documentation: string;
+    // Arguments to fill in when the name is inserted as a call; null for other names.
+    parameters: string[] | null;
+}
+
+type BlockKind = 'main' | 'class' | 'function' | 'loop' | 'block' | 'map';
+
+// Keywords that can start a statement, a class member or an expression. The words themselves
+// come from Lexer.KEYWORDS.
+const STATEMENT_KEYWORDS: TokenType[] = [
+    'LET', 'CONST', 'VAR', 'DEF', 'IF', 'WHILE', 'FOR', 'TRY', 'THROW', 'PRINT', 'SELF', 'SUPER', 'NEW', 'READLN'
+];
+const MEMBER_KEYWORDS: TokenType[] = ['PUBLIC', 'PRIVATE', 'LET', 'CONST', 'VAR', 'DEF'];
+const EXPRESSION_KEYWORDS: TokenType[] = ['TRUE', 'FALSE', 'NULL', 'NEW', 'DEF', 'SELF', 'SUPER', 'READLN'];
+
+// After these a new name is being declared, or an operand has just ended, so nothing is offered.
+const NO_COMPLETION_AFTER: TokenType[] = [
+    'LET', 'CONST', 'VAR', 'DEF', 'CLASS', 'AT', 'IDENTIFIER', 'NUMBER', 'STRING_LITERAL', 'BACKTICK_STRING',
+    'TEMPLATE_TAIL', 'TRUE', 'FALSE', 'NULL', 'SELF', 'SUPER', 'RPAREN', 'RBRACKET'
+];
+
+/**
+ * What can be typed at a position: the fields and methods of an object after `.`, class names
+ * after `NEW` or `extends`, and otherwise the keywords valid there and the names in scope.
+ * The word the cursor is in or just after is the one being completed.
+ */
+export function completionsAt(analysis: Analysis, position: SourcePosition): Completion[] {
+    const tokens = analysis.tokens.filter(({ span }) => !isAtOrBefore(position, span.start));
+    const last = tokens[tokens.length - 1];
+    if (last && isAtOrBefore(position, last.span.end)) {
+        if (last.type === 'IDENTIFIER' || Lexer.KEYWORDS[last.value] === last.type) {
+            tokens.pop();
+        } else if (!isAtOrBefore(last.span.end, position)) {
+            return []; // Inside a string or number
+        }
+    }
+    const previous = tokens[tokens.length - 1]?.type;
+    const currentClass = [...analysis.classes.values()].find(info => info.node.span && spanContains(info.node.span, position)) ?? null;
+    if (previous === 'DOT') {
+        const object = tokens[tokens.length - 2];
+        const members = accessibleMembers(analysis, objectClass(analysis, tokens, tokens.length - 2, position, currentClass), currentClass);
+        return members.filter(({ kind }) => kind === 'method' || object?.type !== 'SUPER').map(symbolCompletion);
+    }
+    if (previous === 'NEW' || previous === 'EXTENDS') {
+        return [...analysis.classes.values()].map(({ symbol }) => ({
+            ...symbolCompletion(symbol),
+            parameters: previous === 'NEW' ? findMember(analysis.classes, symbol.name, 'init')?.parameters ?? [] : null,
+        }));
+    }
+    if (previous && NO_COMPLETION_AFTER.includes(previous)) {
+        return [];
+    }
+
+    const blocks = enclosingBlocks(tokens);
+    const startsStatement = !previous || previous === 'SEMICOLON' || previous === 'LBRACE' || previous === 'RBRACE';
+    let keywords: TokenType[];
+    if (!startsStatement || blocks[0] === 'map') {
+        keywords = [...EXPRESSION_KEYWORDS];
+    } else if (blocks[0] === 'class') {
+        return keywordCompletions(MEMBER_KEYWORDS);
+    } else {
+        keywords = [...STATEMENT_KEYWORDS];
+        const body = blocks.slice(0, blocks.findIndex(kind => kind === 'main' || kind === 'class' || kind === 'function'));
+        if (body.includes('loop')) {
+            keywords.push('BREAK', 'CONTINUE');
+        }
+        if (blocks.includes('function')) {
+            keywords.push('RETURN');
+        }
+        if (blocks[0] === 'main') {
+            keywords.push('PUBLIC', 'CLASS');
+        }
+        if (previous === 'RBRACE') {
+            keywords.push(...continuationKeywords(tokens, tokens.length - 1));
+        }
+    }
+    keywords = keywords.filter(type => (type !== 'SELF' || currentClass) && (type !== 'SUPER' || currentClass?.base));
+    return [...keywordCompletions(keywords), ...nameCompletions(analysis, position, currentClass)];
+}
+
+function keywordCompletions(types: TokenType[]): Completion[] {
+    return Object.entries(Lexer.KEYWORDS)
+        .filter(([, type]) => types.includes(type))
+        .map(([word]) => ({ label: word, kind: 'keyword', detail: '', documentation: '', parameters: null }));
+}
+
+function symbolCompletion(symbol: PayJarSymbol): Completion {
+    const detail = symbol.parameters ? `(${symbol.parameters.join(', ')})` : symbol.class_name ?? '';
+    return { label: symbol.name, kind: symbol.kind, detail, documentation: '', parameters: symbol.parameters };
+}
+
+// Variables, methods of the current class, top-level functions and built-ins, in the order
+// the Interpreter looks them up, so that a name is only offered for the declaration it finds.
+function nameCompletions(analysis: Analysis, position: SourcePosition, currentClass: ClassInfo | null): Completion[] {
+    const names = visibleVariables(analysis, position);
+    for (const symbol of accessibleMembers(analysis, currentClass?.symbol.name ?? null, currentClass)) {
+        if (symbol.kind === 'method' && !names.has(symbol.name)) {
+            names.set(symbol.name, symbol);
+        }
+    }
+    for (const symbol of analysis.functions.values()) {
+        if (!names.has(symbol.name)) {
+            names.set(symbol.name, symbol);
+        }
+    }
+    const completions = [...names.values()].map(symbolCompletion);
+    for (const native of BUILTIN_FUNCTIONS) {
+        if (!names.has(native.name)) {
+            completions.push({
+                label: native.name, kind: 'builtin', detail: native.signature, documentation: native.description,
+                parameters: builtinParameters(native.signature),
+            });
+        }
+    }
+    return completions;
+}
+
+// The variables, parameters and local functions usable at a position: those of the scopes
+// around it that are declared before it or, for code in a function body, anywhere in a block
+// around the function, since the body runs only once the block has defined them.
+function visibleVariables(analysis: Analysis, position: SourcePosition): Map<string, PayJarSymbol> {
+    const names = new Map<string, PayJarSymbol>();
+    // Inner scopes start later, and their names shadow those of the scopes around them.
+    const scopes = analysis.scopes
+        .filter(scope => spanContains(scope.span, position))
+        .sort((a, b) => comparePositions(b.span, a.span));
+    let inFunction = false;
+    for (const scope of scopes) {
+        for (const symbol of scope.symbols) {
+            if (!names.has(symbol.name) && symbol.span && (inFunction || isAtOrBefore(symbol.span.end, position))) {
+                names.set(symbol.name, symbol);
+            }
+        }
+        inFunction ||= scope.function;
+    }
+    return names;
+}
+
+// The fields and methods of a class and its base classes, leaving out the constructor and the
+// private members of classes other than the current one.
+function accessibleMembers(analysis: Analysis, className: string | null, currentClass: ClassInfo | null): PayJarSymbol[] {
+    const members = new Map<string, PayJarSymbol>();
+    const visited = new Set<string>();
+    while (className && !visited.has(className)) {
+        visited.add(className);
+        const info = analysis.classes.get(className);
+        for (const member of info?.members.values() ?? []) {
+            const accessible = member.visibility !== 'private' || member.owner === currentClass?.symbol.name;
+            if (member.name !== 'init' && accessible && !members.has(member.name)) {
+                members.set(member.name, member);
+            }
+        }
+        className = info?.base ?? null;
+    }
+    return [...members.values()];
+}
+
+// The class of the object ending at a token: `self`, `super`, a variable initialised with
+// `NEW`, or a chain of such fields, as in `self.engine.`.
+function objectClass(analysis: Analysis, tokens: Token[], index: number, position: SourcePosition, currentClass: ClassInfo | null): string | null {
+    const token = tokens[index];
+    switch (token?.type) {
+        case 'SELF':
+            return currentClass?.symbol.name ?? null;
+        case 'SUPER':
+            return currentClass?.base ?? null;
+        case 'IDENTIFIER':
+            if (tokens[index - 1]?.type === 'DOT') {
+                const owner = objectClass(analysis, tokens, index - 2, position, currentClass);
+                return findMember(analysis.classes, owner, token.value)?.class_name ?? null;
+            }
+            return visibleVariables(analysis, position).get(token.value)?.class_name ?? null;
+        default:
+            return null;
+    }
+}
+
+// The blocks open at the end of the tokens, innermost first. Going by the tokens rather than
+// the AST keeps this working while the statement being typed is still incomplete.
+function enclosingBlocks(tokens: Token[]): BlockKind[] {
+    const kinds: BlockKind[] = [];
+    let depth = 0;
+    for (let i = tokens.length - 1; i >= 0; i--) {
+        if (tokens[i].type === 'RBRACE') {
+            depth++;
+        } else if (tokens[i].type === 'LBRACE') {
+            if (depth > 0) {
+                depth--;
+            } else {
+                kinds.push(blockKind(tokens, i));
+            }
+        }
+    }
+    return kinds;
+}
+
+// The keywords that can follow the `}` at `brace`: `else` after an if block, `catch` and
+// `finally` after a try block, and `finally` after a catch block.
+function continuationKeywords(tokens: Token[], brace: number): TokenType[] {
+    const open = matchingOpen(tokens, brace);
+    const before = tokens[open - 1]?.type;
+    if (before === 'TRY') {
+        return ['CATCH', 'FINALLY'];
+    } else if (before !== 'RPAREN') {
+        return [];
+    }
+    const head = tokens[matchingOpen(tokens, open - 1) - 1]?.type;
+    return head === 'IF' ? ['ELSE'] : head === 'CATCH' ? ['FINALLY'] : [];
+}
+
+// Index of the `(` or `{` that the `)` or `}` at `close` closes, or -1 when there is none.
+function matchingOpen(tokens: Token[], close: number): number {
+    const closeType = tokens[close].type;
+    const openType = closeType === 'RPAREN' ? 'LPAREN' : 'LBRACE';
+    let open = close;
+    for (let depth = 0; open >= 0; open--) {
+        depth += tokens[open].type === closeType ? 1 : tokens[open].type === openType ? -1 : 0;
+        if (depth === 0) {
+            break;
+        }
+    }
+    return open;
+}
+
+// What a `{` opens, from the tokens before it.
+function blockKind(tokens: Token[], brace: number): BlockKind {
+    const before = tokens[brace - 1]?.type;
+    if (before === 'ARROW') {
+        return 'function';
+    } else if (before === 'ELSE' || before === 'TRY' || before === 'FINALLY') {
+        return 'block';
+    } else if (before === 'IDENTIFIER' && tokens[brace - 2]?.type === 'EXTENDS') {
+        return 'class';
+    } else if (before !== 'RPAREN') {
+        return 'map';
+    }
+    // Skip back over the parentheses to the keyword or name in front of them.
+    const open = matchingOpen(tokens, brace - 1);
+    const head = tokens[open - 1]?.type;
+    if (head === 'WHILE' || head === 'FOR') {
+        return 'loop';
+    } else if (head === 'DEF' || tokens[open - 2]?.type === 'DEF') {
+        return 'function';
+    } else if (tokens[open - 2]?.type === 'CLASS') {
+        // The main class header is the first thing in the file: `public class Main(@self) {`.
+        return open === 3 ? 'main' : 'class';
+    }
+    return 'block';
+}
+
+// The required parameters of a built-in, from the first form of its signature: `x` for
+// `round(x, digits?)` and `a, b` for `min(a, b, ...) or min(array)`.
+function builtinParameters(signature: string): string[] {
+    const list = /\(([^)]*)\)/.exec(signature)?.[1] ?? '';
+    return list.split(',').map(parameter => parameter.trim()).filter(parameter => /^\w+$/.test(parameter));
+}
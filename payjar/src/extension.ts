@@ -1,10 +1,42 @@
 // Imports from VS Code API and your custom language logic
+import * as path from 'path';
 import * as vscode from 'vscode';
-import { Lexer, Parser, Interpreter, MainDefinitionNode } from './payjar'; // Import your logic
+import { SourcePosition, SourceSpan, ExecutionLimits, BUILTIN_FUNCTIONS } from './payjar'; // Import your logic
+import { PayJarTerminal } from './terminal';
+import {
+    Analysis, analyze, Completion, CompletionKind, completionsAt, outline, OutlineKind, OutlineSymbol, planRename,
+    referenceAt, referencesTo, renameBlocker, semanticTokens, SEMANTIC_TOKEN_MODIFIERS, SEMANTIC_TOKEN_TYPES
+} from './analysis';
 
 // Define the file extension for your language (e.g., .payjar)
 const PAYJAR_LANGUAGE_ID = 'payjar';
 
+const PAYJAR_FILES = '**/*.{pj,payjar}';
+
+const SEMANTIC_TOKENS_LEGEND = new vscode.SemanticTokensLegend(SEMANTIC_TOKEN_TYPES, SEMANTIC_TOKEN_MODIFIERS);
+
+const SYMBOL_KINDS: { [kind in OutlineKind]: vscode.SymbolKind } = {
+    class: vscode.SymbolKind.Class,
+    field: vscode.SymbolKind.Field,
+    constant: vscode.SymbolKind.Constant,
+    constructor: vscode.SymbolKind.Constructor,
+    method: vscode.SymbolKind.Method,
+    function: vscode.SymbolKind.Function,
+    variable: vscode.SymbolKind.Variable,
+};
+
+const COMPLETION_KINDS: { [kind in CompletionKind]: vscode.CompletionItemKind } = {
+    keyword: vscode.CompletionItemKind.Keyword,
+    class: vscode.CompletionItemKind.Class,
+    function: vscode.CompletionItemKind.Function,
+    method: vscode.CompletionItemKind.Method,
+    field: vscode.CompletionItemKind.Field,
+    parameter: vscode.CompletionItemKind.Variable,
+    variable: vscode.CompletionItemKind.Variable,
+    self: vscode.CompletionItemKind.Keyword,
+    builtin: vscode.CompletionItemKind.Function,
+};
+
 /**
  * Main activation function called when the extension is loaded.
  * @param context The extension context.
@@ -13,6 +45,7 @@ export function activate(context: vscode.ExtensionContext) {
     console.log('Congratulations, your extension "payjar-lang" is now active!');
 
     // --- 1. Register "Run Code" Command ---
+    // Each run gets its own terminal, which shows the program's output and takes its input.
     const runCommand = vscode.commands.registerCommand('payjar.runCode', () => {
         const editor = vscode.window.activeTextEditor;
         if (editor) {
@@ -22,48 +55,21 @@ export function activate(context: vscode.ExtensionContext) {
                 return;
             }
 
-            const code = document.getText();
-            // Use the VS Code Output Channel to display results
-            const outputChannel = vscode.window.createOutputChannel('PayJar Output');
-            outputChannel.clear();
-            outputChannel.show(true);
-            outputChannel.appendLine(`--- Running PayJar Code ---`);
-
-            // Keep a reference to the original console.log so we can restore it later
-            const originalConsoleLog = console.log;
-
-            try {
-                // 1. Lexing
-                const lexer = new Lexer(code);
-                const tokens = lexer.tokenize();
-
-                // 2. Parsing
-                const parser = new Parser(tokens);
-                const ast = parser.parse() as MainDefinitionNode;
-
-                // 3. Interpretation
-                const interpreter = new Interpreter();
-
-                // IMPORTANT: Redirect console.log from the interpreter to the VS Code output channel
-                console.log = (...args: any[]) => {
-                    outputChannel.appendLine(args.map(String).join(' '));
-                };
-
-                interpreter.interpret(ast);
-
-                outputChannel.appendLine(`--- Execution Finished Successfully ---`);
+            const terminal = vscode.window.createTerminal({
+                name: `PayJar: ${path.basename(document.fileName)}`,
+                pty: new PayJarTerminal(document.getText(), readExecutionLimits()),
+            });
+            terminal.show();
+        }
+    });
 
-            } catch (error: any) {
-                outputChannel.appendLine(`--- Execution FAILED ---`);
-                outputChannel.appendLine(`Error: ${error?.message ?? String(error)}`);
-            } finally {
-                // Always restore the original console implementation
-                console.log = originalConsoleLog;
-            }
+    const stopCommand = vscode.commands.registerCommand('payjar.stopProgram', () => {
+        if (PayJarTerminal.stopAll() === 0) {
+            vscode.window.showInformationMessage('No PayJar program is running.');
         }
     });
 
-    context.subscriptions.push(runCommand);
+    context.subscriptions.push(runCommand, stopCommand);
 
 
     // --- 2. Basic Diagnostics (Error Checking) ---
@@ -78,11 +84,278 @@ export function activate(context: vscode.ExtensionContext) {
         vscode.workspace.onDidChangeTextDocument(event => checkDiagnostics(event.document, diagnosticCollection)),
         vscode.window.onDidChangeActiveTextEditor(editor => checkDiagnostics(editor?.document, diagnosticCollection))
     );
+
+    // --- 3. Hover Information for Built-in Functions ---
+    context.subscriptions.push(
+        vscode.languages.registerHoverProvider(PAYJAR_LANGUAGE_ID, { provideHover: provideBuiltinHover })
+    );
+
+    // --- 4. Semantic Highlighting ---
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSemanticTokensProvider(PAYJAR_LANGUAGE_ID, {
+            provideDocumentSemanticTokens: document => buildSemanticTokens(document),
+        }, SEMANTIC_TOKENS_LEGEND),
+        vscode.languages.registerDocumentRangeSemanticTokensProvider(PAYJAR_LANGUAGE_ID, {
+            provideDocumentRangeSemanticTokens: (document, range) => buildSemanticTokens(document, range),
+        }, SEMANTIC_TOKENS_LEGEND),
+        vscode.workspace.onDidCloseTextDocument(document => analysisCache.delete(document.uri.toString()))
+    );
+
+    // --- 5. Outline and Breadcrumbs ---
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider(PAYJAR_LANGUAGE_ID, {
+            provideDocumentSymbols: document => outline(getAnalysis(document)).map(toDocumentSymbol),
+        })
+    );
+
+    // --- 6. Workspace Symbol Search ---
+    const symbolIndex = new WorkspaceSymbolIndex();
+    const watcher = vscode.workspace.createFileSystemWatcher(PAYJAR_FILES);
+    context.subscriptions.push(
+        vscode.languages.registerWorkspaceSymbolProvider(symbolIndex),
+        watcher,
+        watcher.onDidChange(uri => symbolIndex.invalidate(uri)),
+        watcher.onDidDelete(uri => symbolIndex.invalidate(uri))
+    );
+
+    // --- 7. Go to Definition, Find References and Rename ---
+    context.subscriptions.push(
+        vscode.languages.registerDefinitionProvider(PAYJAR_LANGUAGE_ID, { provideDefinition }),
+        vscode.languages.registerReferenceProvider(PAYJAR_LANGUAGE_ID, { provideReferences }),
+        vscode.languages.registerRenameProvider(PAYJAR_LANGUAGE_ID, { prepareRename, provideRenameEdits })
+    );
+
+    // --- 8. Code Completion ---
+    context.subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(PAYJAR_LANGUAGE_ID, {
+            provideCompletionItems: (document, position) =>
+                completionsAt(getAnalysis(document), toSourcePosition(position)).map(toCompletionItem),
+        }, '.')
+    );
+}
+
+// The analysis of the latest version of each open document, shared by the editor features.
+const analysisCache = new Map<string, { version: number, analysis: Analysis }>();
+
+/**
+ * Analyzes a document, reusing the result until the document changes.
+ */
+function getAnalysis(document: vscode.TextDocument): Analysis {
+    const key = document.uri.toString();
+    const cached = analysisCache.get(key);
+    if (cached && cached.version === document.version) {
+        return cached.analysis;
+    }
+    const analysis = analyze(document.getText());
+    analysisCache.set(key, { version: document.version, analysis });
+    return analysis;
+}
+
+/**
+ * Highlights class, function, method, parameter, variable and field names as the Parser sees
+ * them, either in the whole document or in one range of it.
+ */
+function buildSemanticTokens(document: vscode.TextDocument, range?: vscode.Range): vscode.SemanticTokens {
+    const builder = new vscode.SemanticTokensBuilder(SEMANTIC_TOKENS_LEGEND);
+    for (const token of semanticTokens(getAnalysis(document))) {
+        const tokenRange = spanToRange(token.span);
+        if (!range || range.intersection(tokenRange)) {
+            builder.push(tokenRange, token.type, token.modifiers);
+        }
+    }
+    return builder.build();
+}
+
+/**
+ * Converts an outline entry and its children for the Outline view and breadcrumbs.
+ */
+function toDocumentSymbol(symbol: OutlineSymbol): vscode.DocumentSymbol {
+    const result = new vscode.DocumentSymbol(
+        symbol.name, symbol.detail, SYMBOL_KINDS[symbol.kind], spanToRange(symbol.span), spanToRange(symbol.selection_span)
+    );
+    result.children = symbol.children.map(toDocumentSymbol);
+    return result;
 }
 
 /**
- * Runs the PayJar Lexer and Parser on a document to find errors.
- * This is a highly simplified way to generate diagnostics.
+ * Finds the classes, functions and methods of every PayJar file in the workspace by name.
+ * Files are analyzed on the first search and again after they change on disk; open
+ * documents are taken from the editor, with their unsaved changes.
+ */
+class WorkspaceSymbolIndex implements vscode.WorkspaceSymbolProvider {
+    private static readonly INDEXED_KINDS: OutlineKind[] = ['class', 'constructor', 'method', 'function'];
+
+    private files = new Map<string, vscode.SymbolInformation[]>();
+
+    public invalidate(uri: vscode.Uri): void {
+        this.files.delete(uri.toString());
+    }
+
+    public async provideWorkspaceSymbols(query: string, token: vscode.CancellationToken): Promise<vscode.SymbolInformation[]> {
+        const uris = await vscode.workspace.findFiles(PAYJAR_FILES, '**/node_modules/**');
+        const results: vscode.SymbolInformation[] = [];
+        for (const uri of uris) {
+            if (token.isCancellationRequested) {
+                break;
+            }
+            const symbols = await this.symbolsOf(uri);
+            results.push(...symbols.filter(symbol => matchesQuery(symbol.name, query)));
+        }
+        return results;
+    }
+
+    private async symbolsOf(uri: vscode.Uri): Promise<vscode.SymbolInformation[]> {
+        const key = uri.toString();
+        const document = vscode.workspace.textDocuments.find(open => open.uri.toString() === key);
+        if (document) {
+            return this.index(uri, outline(getAnalysis(document)));
+        }
+        let symbols = this.files.get(key);
+        if (!symbols) {
+            try {
+                const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+                symbols = this.index(uri, outline(analyze(text)));
+            } catch {
+                // Deleted or unreadable since it was found.
+                return [];
+            }
+            this.files.set(key, symbols);
+        }
+        return symbols;
+    }
+
+    private index(uri: vscode.Uri, symbols: OutlineSymbol[], container: string = ''): vscode.SymbolInformation[] {
+        const result: vscode.SymbolInformation[] = [];
+        for (const symbol of symbols) {
+            if (WorkspaceSymbolIndex.INDEXED_KINDS.includes(symbol.kind)) {
+                const location = new vscode.Location(uri, spanToRange(symbol.selection_span));
+                result.push(new vscode.SymbolInformation(symbol.name, SYMBOL_KINDS[symbol.kind], container, location));
+            }
+            result.push(...this.index(uri, symbol.children, symbol.name));
+        }
+        return result;
+    }
+}
+
+/**
+ * Whether the characters of a search query appear in a name in order, ignoring case.
+ */
+function matchesQuery(name: string, query: string): boolean {
+    let position = 0;
+    const lowerName = name.toLowerCase();
+    for (const char of query.toLowerCase()) {
+        position = lowerName.indexOf(char, position) + 1;
+        if (position === 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Jumps from a name to its declaration. Built-ins and members of objects of unknown class have none.
+ */
+function provideDefinition(document: vscode.TextDocument, position: vscode.Position): vscode.Location | undefined {
+    const span = referenceAt(getAnalysis(document), toSourcePosition(position))?.symbol.span;
+    return span ? new vscode.Location(document.uri, spanToRange(span)) : undefined;
+}
+
+/**
+ * Lists the uses of the declaration a name refers to; names that merely look the same, such
+ * as a shadowing variable, are left out.
+ */
+function provideReferences(document: vscode.TextDocument, position: vscode.Position, context: vscode.ReferenceContext): vscode.Location[] {
+    const analysis = getAnalysis(document);
+    const reference = referenceAt(analysis, toSourcePosition(position));
+    if (!reference || !reference.symbol.span) {
+        return [];
+    }
+    return referencesTo(analysis, reference.symbol)
+        .filter(({ declaration }) => context.includeDeclaration || !declaration)
+        .map(({ span }) => new vscode.Location(document.uri, spanToRange(span)));
+}
+
+/**
+ * Checks that the name under the cursor can be renamed before asking for the new name.
+ */
+function prepareRename(document: vscode.TextDocument, position: vscode.Position): { range: vscode.Range, placeholder: string } {
+    const analysis = getAnalysis(document);
+    const reference = referenceAt(analysis, toSourcePosition(position));
+    if (!reference) {
+        throw new Error("There is no name to rename here.");
+    }
+    const blocker = renameBlocker(analysis, reference.symbol);
+    if (blocker) {
+        throw new Error(blocker);
+    }
+    return { range: spanToRange(reference.span), placeholder: reference.symbol.name };
+}
+
+/**
+ * Renames every use of a declaration, refusing names that are keywords or that would clash
+ * with another declaration (see planRename).
+ */
+function provideRenameEdits(document: vscode.TextDocument, position: vscode.Position, newName: string): vscode.WorkspaceEdit {
+    const plan = planRename(getAnalysis(document), document.getText(), toSourcePosition(position), newName);
+    if ('error' in plan) {
+        throw new Error(plan.error);
+    }
+    const edit = new vscode.WorkspaceEdit();
+    for (const span of plan.spans) {
+        edit.replace(document.uri, spanToRange(span), newName);
+    }
+    return edit;
+}
+
+/**
+ * Converts a completion for the suggestion list. Functions, methods and constructors are
+ * inserted as calls, with a placeholder for each argument.
+ */
+function toCompletionItem(completion: Completion): vscode.CompletionItem {
+    const item = new vscode.CompletionItem(completion.label, COMPLETION_KINDS[completion.kind]);
+    item.detail = completion.detail;
+    if (completion.documentation) {
+        item.documentation = new vscode.MarkdownString(completion.documentation);
+    }
+    if (completion.parameters) {
+        const snippet = new vscode.SnippetString().appendText(`${completion.label}(`);
+        completion.parameters.forEach((name, i) => {
+            if (i > 0) {
+                snippet.appendText(', ');
+            }
+            snippet.appendPlaceholder(name);
+        });
+        item.insertText = snippet.appendText(')');
+    }
+    return item;
+}
+
+/**
+ * Shows the signature and description of a built-in function when hovering over a call to it.
+ */
+function provideBuiltinHover(document: vscode.TextDocument, position: vscode.Position): vscode.Hover | undefined {
+    const range = document.getWordRangeAtPosition(position, /[A-Za-z_][A-Za-z0-9_]*/);
+    if (!range) {
+        return undefined;
+    }
+    const line = document.lineAt(position.line).text;
+    // Only calls, and not member calls such as `list.max()`.
+    const isCall = /^\s*\(/.test(line.slice(range.end.character));
+    const isMember = /\.\s*$/.test(line.slice(0, range.start.character));
+    const native = BUILTIN_FUNCTIONS.find(f => f.name === document.getText(range));
+    if (!native || !isCall || isMember) {
+        return undefined;
+    }
+    const contents = new vscode.MarkdownString()
+        .appendCodeblock(native.signature, PAYJAR_LANGUAGE_ID)
+        .appendMarkdown(native.description);
+    return new vscode.Hover(contents, range);
+}
+
+/**
+ * Publishes every lexer and syntax error of a document, from the same analysis the other
+ * editor features use. The Parser recovers after each error, so one mistake does not hide
+ * the rest of the file.
  */
 function checkDiagnostics(document: vscode.TextDocument | undefined, diagnosticCollection: vscode.DiagnosticCollection) {
     if (!document || document.languageId !== PAYJAR_LANGUAGE_ID) {
@@ -90,44 +363,57 @@ function checkDiagnostics(document: vscode.TextDocument | undefined, diagnosticC
         return;
     }
 
-    const diagnostics: vscode.Diagnostic[] = [];
-    const code = document.getText();
-
-    try {
-        // Run Lexer and Parser
-        const lexer = new Lexer(code);
-        const tokens = lexer.tokenize();
-        const parser = new Parser(tokens);
-        parser.parse();
-
-        // If no error, clear old diagnostics for this file
-        diagnosticCollection.set(document.uri, []);
-
-    } catch (e: any) {
-        // Your Lexer and Parser throw an Error with a message like:
-        // "Syntax Error: Expected IDENTIFIER, but got LPAREN. Index: 5"
-        
-        // This is where you would map the error message back to line/column.
-        // Since your current Parser/Lexer throws an error but doesn't expose 
-        // the exact line/column, we make a big assumption for now:
-        
-        let line = 0;
-        let char = 0;
-        
-        // A more advanced parser would include line/column information in the exception.
-        
-        const range = new vscode.Range(line, char, line, document.lineAt(line).text.length);
-
-        const diagnostic = new vscode.Diagnostic(
+    const diagnostics = getAnalysis(document).errors.map(e => {
+        // Errors without a span are reported on the first line.
+        const range = e.span ? spanToRange(e.span) : new vscode.Range(0, 0, 0, document.lineAt(0).text.length);
+
+        return new vscode.Diagnostic(
             range,
             e.message || "Unknown PayJar Syntax Error",
             vscode.DiagnosticSeverity.Error
         );
-        diagnostics.push(diagnostic);
-        diagnosticCollection.set(document.uri, diagnostics);
+    });
+    diagnosticCollection.set(document.uri, diagnostics);
+}
+
+/**
+ * Reads the `payjar.execution.*` settings. Unset settings fall back to the interpreter's defaults.
+ */
+function readExecutionLimits(): Partial<ExecutionLimits> {
+    const config = vscode.workspace.getConfiguration('payjar.execution');
+    const limits: Partial<ExecutionLimits> = {};
+    const maxSteps = config.get<number>('maxSteps');
+    const timeoutSeconds = config.get<number>('timeoutSeconds');
+    const maxCallDepth = config.get<number>('maxCallDepth');
+    const maxOutputChars = config.get<number>('maxOutputChars');
+    if (maxSteps !== undefined) {
+        limits.maxSteps = maxSteps;
+    }
+    if (timeoutSeconds !== undefined) {
+        limits.timeoutMs = timeoutSeconds * 1000;
+    }
+    if (maxCallDepth !== undefined) {
+        limits.maxCallDepth = maxCallDepth;
+    }
+    if (maxOutputChars !== undefined) {
+        limits.maxOutputChars = maxOutputChars;
     }
+    return limits;
 }
 
+/**
+ * Converts a VS Code position into a PayJar source position.
+ */
+function toSourcePosition(position: vscode.Position): SourcePosition {
+    return { line: position.line, column: position.character };
+}
+
+/**
+ * Converts a PayJar source span into a VS Code range.
+ */
+function spanToRange(span: SourceSpan): vscode.Range {
+    return new vscode.Range(span.start.line, span.start.column, span.end.line, span.end.column);
+}
 
 /**
  * Deactivation function.
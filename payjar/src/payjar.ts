@@ -3,25 +3,82 @@
 // ====================================================================
 
 export type TokenType =
-  | 'PUBLIC' | 'PRIVATE' | 'CLASS' | 'MAIN' | 'SELF' | 'INNERSELF'
+  | 'PUBLIC' | 'PRIVATE' | 'CLASS' | 'MAIN' | 'SELF' | 'INNERSELF' | 'EXTENDS' | 'SUPER'
   | 'DEF' | 'PRINT' | 'PASS' | 'LET' | 'CONST' | 'VAR' | 'NEW' | 'READLN' | 'RETURN'
+  | 'IF' | 'ELSE' | 'WHILE' | 'FOR' | 'IN' | 'BREAK' | 'CONTINUE' | 'TRUE' | 'FALSE' | 'NULL'
+  | 'TRY' | 'CATCH' | 'FINALLY' | 'THROW'
   | 'IDENTIFIER' | 'STRING_LITERAL' | 'NUMBER' | 'BACKTICK_STRING'
-  | 'PLUS' | 'MINUS' | 'MULTIPLY' | 'DIVIDE' | 'MODULO'
+  | 'TEMPLATE_HEAD' | 'TEMPLATE_MIDDLE' | 'TEMPLATE_TAIL'
+  | 'PLUS' | 'MINUS' | 'MULTIPLY' | 'DIVIDE' | 'INT_DIVIDE' | 'MODULO'
+  | 'PLUS_EQUAL' | 'MINUS_EQUAL' | 'MULTIPLY_EQUAL' | 'DIVIDE_EQUAL' | 'MODULO_EQUAL' | 'PLUS_PLUS' | 'MINUS_MINUS'
   | 'EQUAL_EQUAL' | 'NOT_EQUAL' | 'LESS_THAN' | 'GREATER_THAN' | 'LESS_EQUAL' | 'GREATER_EQUAL'
-  | 'EQUAL' | 'LPAREN' | 'RPAREN' | 'LBRACE' | 'RBRACE' | 'COLON' | 'SEMICOLON' | 'AT' | 'COMMA' | 'DOT'
+  | 'AND' | 'OR' | 'NOT'
+  | 'EQUAL' | 'ARROW' | 'LPAREN' | 'RPAREN' | 'LBRACE' | 'RBRACE' | 'LBRACKET' | 'RBRACKET' | 'COLON' | 'SEMICOLON' | 'AT' | 'COMMA' | 'DOT'
   | 'EOF';
 
+// Lines and columns are zero-based, matching the VS Code Position API.
+export interface SourcePosition {
+  line: number;
+  column: number;
+}
+
+// The end position is exclusive (it points just past the last character).
+export interface SourceSpan {
+  start: SourcePosition;
+  end: SourcePosition;
+}
+
+export const EMPTY_SPAN: SourceSpan = { start: { line: 0, column: 0 }, end: { line: 0, column: 0 } };
+
+export function joinSpans(first: SourceSpan, last: SourceSpan): SourceSpan {
+  return { start: first.start, end: last.end };
+}
+
 export class Token {
-  constructor(public type: TokenType, public value: string) {}
+  constructor(public type: TokenType, public value: string, public span: SourceSpan = EMPTY_SPAN) {}
   public toString(): string {
     return `Token(${this.type}, ${this.value})`;
   }
 }
 
+// Every error raised by the Lexer, Parser or Interpreter. `span` points at the offending code.
+export class PayJarError extends Error {
+  // PayJar call stack where a runtime error was raised, innermost call first (see Interpreter.captureTrace).
+  public trace: string[] | null = null;
+  // What PayJar code sees as `e.kind` when it catches the error. The subclasses below set the other kinds.
+  public kind: string = 'RuntimeError';
+
+  constructor(message: string, public span: SourceSpan | null = null) {
+    super(message);
+    this.name = "PayJarError";
+  }
+}
+
+// A value of the wrong type, a call with the wrong arguments or a write to a constant.
+export class PayJarTypeError extends PayJarError {
+  public kind = 'TypeError';
+}
+
+// An array index out of range, a missing map key or an empty array.
+export class PayJarIndexError extends PayJarError {
+  public kind = 'IndexError';
+}
+
+// An undefined variable, function, class or member.
+export class PayJarNameError extends PayJarError {
+  public kind = 'NameError';
+}
+
+// Use of a private field or method from outside its class.
+export class PayJarAccessError extends PayJarError {
+  public kind = 'AccessError';
+}
+
 // --- AST Node Interfaces (Simplified for the massive structure) ---
 // Note: In a real-world scenario, you'd define precise interfaces for every node type.
 export interface ASTNode {
     type: string;
+    span?: SourceSpan;
     [key: string]: any;
 }
 
@@ -33,9 +90,20 @@ export interface MainDefinitionNode extends ASTNode {
 
 export interface LiteralNode extends ASTNode {
     type: "literal";
-    value: string | number | null;
-    data_type: "string" | "number";
-    prompt?: string; // Used for READLN expressions during parsing
+    value: string | number | boolean | null;
+    data_type: "string" | "number" | "boolean" | "null";
+}
+
+// Result of Parser.parseWithRecovery(): a best-effort AST plus every syntax error found.
+export interface ParseResult {
+    ast: MainDefinitionNode;
+    errors: PayJarError[];
+}
+
+// Result of Lexer.tokenizeWithRecovery(): every token that could be read plus every lexer error.
+export interface LexResult {
+    tokens: Token[];
+    errors: PayJarError[];
 }
 
 // ====================================================================
@@ -45,23 +113,43 @@ export interface LiteralNode extends ASTNode {
 export class Lexer {
   private text: string;
   private pos: number = 0;
+  private line: number = 0;
+  private column: number = 0;
   private current_char: string | null;
+  // Open `{` count, and for each `${` being tokenized the count it was opened at, so that
+  // the `}` closing an interpolation can be told apart from one closing a nested brace.
+  private brace_depth: number = 0;
+  private template_stack: { depth: number, start: SourcePosition }[] = [];
+  private recovering: boolean = false;
+  private errors: PayJarError[] = [];
 
   constructor(text: string) {
-    // The Python implementation included re.sub for comments, which we implement here.
-    this.text = this.removeComments(text);
+    // Comments are skipped while scanning (see skipWhitespace) rather than stripped up front,
+    // so that token positions still match the original source.
+    this.text = text;
     this.current_char = this.text.length > 0 ? this.text[0] : null;
   }
 
-  private removeComments(text: string): string {
-    // Single-line (//)
-    let cleaned = text.replace(/\/\/.*$/gm, '');
-    // Multi-line (/* ... */)
-    cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, '');
-    return cleaned;
+  private position(): SourcePosition {
+    return { line: this.line, column: this.column };
+  }
+
+  // Raises a lexer error, or in recovery mode records it so the caller can carry on.
+  private fail(message: string, span: SourceSpan): void {
+    const error = new PayJarError(`Lexer Error: ${message}`, span);
+    if (!this.recovering) {
+      throw error;
+    }
+    this.errors.push(error);
   }
 
   private advance(): void {
+    if (this.current_char === '\n') {
+      this.line += 1;
+      this.column = 0;
+    } else {
+      this.column += 1;
+    }
     this.pos += 1;
     if (this.pos < this.text.length) {
       this.current_char = this.text[this.pos];
@@ -70,10 +158,40 @@ export class Lexer {
     }
   }
 
+  // Skips whitespace as well as single-line (//) and multi-line (/* ... */) comments.
   private skipWhitespace(): void {
-    while (this.current_char !== null && /\s/.test(this.current_char)) {
+    while (this.current_char !== null) {
+      if (/\s/.test(this.current_char)) {
+        this.advance();
+      } else if (this.current_char === '/' && this.peek() === '/') {
+        this.skipLineComment();
+      } else if (this.current_char === '/' && this.peek() === '*') {
+        this.skipBlockComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  private skipLineComment(): void {
+    while (this.current_char !== null && this.current_char !== '\n') {
+      this.advance();
+    }
+  }
+
+  private skipBlockComment(): void {
+    const start = this.position();
+    this.advance(); // Consume '/'
+    this.advance(); // Consume '*'
+    while (this.current_char !== null && !(this.current_char === '*' && this.peek() === '/')) {
       this.advance();
     }
+    if (this.current_char === null) {
+      this.fail("Unterminated block comment", { start, end: this.position() });
+      return;
+    }
+    this.advance();
+    this.advance();
   }
 
   private peek(offset: number = 1): string | null {
@@ -93,97 +211,303 @@ export class Lexer {
     return result;
   }
 
+  // Quote-delimited strings must end on the line they start on; line breaks are written as `\n`.
   private stringLiteral(quoteChar: string): string {
+    const start = this.position();
     let result = '';
     this.advance(); // Consume the opening quote
     while (this.current_char !== null && this.current_char !== quoteChar) {
-      result += this.current_char;
-      this.advance();
+      if (this.current_char === '\n' || this.current_char === '\r') {
+        this.fail("Unterminated string literal (use \\n or a backtick string for multi-line text)", { start, end: this.position() });
+        return result;
+      }
+      if (this.current_char === '\\') {
+        result += this.escapeSequence();
+      } else {
+        result += this.current_char;
+        this.advance();
+      }
     }
     if (this.current_char === quoteChar) {
       this.advance();
-      return result;
     } else {
-      throw new Error("Lexer Error: Unterminated string literal");
+      this.fail("Unterminated string literal", { start, end: this.position() });
+    }
+    return result;
+  }
+
+  // Reserved words, which cannot be used as names.
+  public static readonly KEYWORDS: { [key: string]: TokenType } = {
+    'public': 'PUBLIC', 'private': 'PRIVATE', 'class': 'CLASS',
+    'main': 'MAIN', 'self': 'SELF', 'inner_self': 'INNERSELF', 'innerSelf': 'INNERSELF',
+    'extends': 'EXTENDS', 'super': 'SUPER',
+    'func': 'DEF', 'println': 'PRINT', 'pass': 'PASS', 'let': 'LET',
+    'const': 'CONST', 'var': 'VAR', 'NEW': 'NEW', 'readln': 'READLN', 'return': 'RETURN',
+    'if': 'IF', 'else': 'ELSE', 'while': 'WHILE', 'for': 'FOR', 'in': 'IN', 'break': 'BREAK', 'continue': 'CONTINUE',
+    'true': 'TRUE', 'false': 'FALSE', 'null': 'NULL',
+    'try': 'TRY', 'catch': 'CATCH', 'finally': 'FINALLY', 'throw': 'THROW'
+  };
+
+  // Own properties only, so that names like `toString` stay identifiers.
+  public static isKeyword(word: string): boolean {
+    return Object.prototype.hasOwnProperty.call(Lexer.KEYWORDS, word);
+  }
+
+  private static readonly ESCAPES: { [key: string]: string } = {
+    'n': '\n', 't': '\t', 'r': '\r', '\\': '\\', "'": "'", '"': '"', '`': '`', '$': '$',
+  };
+
+  // Reads the escape sequence at the current backslash and returns the text it stands for:
+  // one of ESCAPES, or `\u{...}` with 1 to 6 hex digits naming a Unicode code point.
+  private escapeSequence(): string {
+    const start = this.position();
+    this.advance(); // Consume '\'
+    const char = this.current_char;
+    if (char !== null && Object.prototype.hasOwnProperty.call(Lexer.ESCAPES, char)) {
+      this.advance();
+      return Lexer.ESCAPES[char];
+    }
+    if (char === 'u') {
+      this.advance();
+      return this.unicodeEscape(start);
+    }
+    if (char !== null && char !== '\n') {
+      this.advance();
+    }
+    this.fail(`Invalid escape sequence '\\${char !== null && char !== '\n' ? char : ''}'`, { start, end: this.position() });
+    return '';
+  }
+
+  private unicodeEscape(start: SourcePosition): string {
+    const digits = this.current_char === '{' ? this.bracedHexDigits() : null;
+    const codePoint = digits ? parseInt(digits, 16) : NaN;
+    if (!digits || digits.length > 6 || codePoint > 0x10FFFF) {
+      this.fail("Invalid Unicode escape, expected \\u{...} with 1 to 6 hex digits up to 10FFFF", { start, end: this.position() });
+      return '';
+    }
+    return String.fromCodePoint(codePoint);
+  }
+
+  // Reads `{hex}` and returns the digits, or null when they are missing or unclosed.
+  private bracedHexDigits(): string | null {
+    this.advance(); // Consume '{'
+    let digits = '';
+    while (this.current_char !== null && /[0-9a-fA-F]/.test(this.current_char)) {
+      digits += this.current_char;
+      this.advance();
+    }
+    if (this.current_char !== '}' || digits === '') {
+      return null;
+    }
+    this.advance();
+    return digits;
+  }
+
+  // Reads a number literal and returns its source text: decimal integers and floats with an
+  // optional exponent (1.5e-3), hex (0xFF) and binary (0b1010) integers, each allowing `_`
+  // separators between digits (1_000_000).
+  private numberLiteral(): string {
+    const start = this.position();
+    let text = '';
+    const read = (pattern: RegExp) => {
+      while (this.current_char !== null && (pattern.test(this.current_char) || this.current_char === '_')) {
+        text += this.current_char;
+        this.advance();
+      }
+    };
+    const isDigit = (char: string | null) => char !== null && /[0-9]/.test(char);
+
+    const prefix = this.peek();
+    if (this.current_char === '0' && prefix !== null && /[xXbB]/.test(prefix)) {
+      text = '0' + prefix;
+      this.advance();
+      this.advance();
+      read(/[xX]/.test(prefix) ? /[0-9a-fA-F]/ : /[01]/);
+    } else {
+      read(/[0-9]/);
+      // A '.' only starts a fraction when a digit follows, so `3.toString()` stays a member access.
+      if (this.current_char === '.' && isDigit(this.peek())) {
+        text += '.';
+        this.advance();
+        read(/[0-9]/);
+      }
+      const sign = this.peek();
+      const hasExponent = isDigit(sign) || ((sign === '+' || sign === '-') && isDigit(this.peek(2)));
+      if ((this.current_char === 'e' || this.current_char === 'E') && hasExponent) {
+        text += this.current_char;
+        this.advance();
+        if (sign === '+' || sign === '-') {
+          text += sign;
+          this.advance();
+        }
+        read(/[0-9]/);
+      }
+    }
+    // Letters or digits glued to the literal (0b102, 0xZZ, 12abc) make it invalid as a whole.
+    read(/[a-zA-Z0-9]/);
+
+    const valid = /^(\d+(_\d+)*(\.\d+(_\d+)*)?([eE][+-]?\d+(_\d+)*)?|0[xX][0-9a-fA-F]+(_[0-9a-fA-F]+)*|0[bB][01]+(_[01]+)*)$/;
+    if (!valid.test(text)) {
+      this.fail(`Invalid number literal '${text}'`, { start, end: this.position() });
+    }
+    return text;
+  }
+
+  // Reads template text up to the closing backtick or the next `${`, both consumed. Text that
+  // ends in `${` becomes `openType`, so the parser knows an embedded expression follows;
+  // text ending the template becomes `closeType`. Line breaks are kept (CRLF read as `\n`),
+  // and `\${` writes a literal `${`.
+  private templateChunk(start: SourcePosition, templateStart: SourcePosition, openType: TokenType, closeType: TokenType): Token {
+    let result = '';
+    while (this.current_char !== null) {
+      if (this.current_char === '`') {
+        this.advance();
+        return this.token(closeType, result, start);
+      }
+      if (this.current_char === '$' && this.peek() === '{') {
+        this.advance();
+        this.advance();
+        this.template_stack.push({ depth: this.brace_depth, start: templateStart });
+        return this.token(openType, result, start);
+      }
+      if (this.current_char === '\\') {
+        result += this.escapeSequence();
+        continue;
+      }
+      if (this.current_char !== '\r' || this.peek() !== '\n') {
+        result += this.current_char;
+      }
+      this.advance();
+    }
+    this.fail("Unterminated template string", { start: templateStart, end: this.position() });
+    return this.token(closeType, result, start);
+  }
+
+  // Called at the end of the input; fails if it falls inside a template's `${ ... }`.
+  private endOfInput(): null {
+    const template = this.template_stack.pop();
+    if (template) {
+      this.template_stack = [];
+      this.fail("Unterminated template string", { start: template.start, end: this.position() });
     }
+    return null;
+  }
+
+  // Builds a token spanning from `start` to the current position.
+  private token(type: TokenType, value: string, start: SourcePosition): Token {
+    return new Token(type, value, { start, end: this.position() });
   }
 
-  private backtickStringLiteral(): string {
-    return this.stringLiteral('`');
+  // Consumes the characters of `value` and builds an operator/punctuation token from them.
+  private operator(type: TokenType, value: string): Token {
+    const start = this.position();
+    for (let i = 0; i < value.length; i++) {
+      this.advance();
+    }
+    return this.token(type, value, start);
   }
 
   public getNextToken(): Token | null {
     while (this.current_char !== null) {
       this.skipWhitespace();
-      if (this.current_char === null) return null;
+      if (this.current_char === null) { return this.endOfInput(); }
+      const start = this.position();
 
       // Identifiers and Keywords
       if (/[a-zA-Z_]/.test(this.current_char)) {
         const id = this.identifier();
-        const keywords: { [key: string]: TokenType } = {
-          'public': 'PUBLIC', 'private': 'PRIVATE', 'class': 'CLASS',
-          'main': 'MAIN', 'self': 'SELF', 'inner_self': 'INNERSELF', 'innerSelf': 'INNERSELF',
-          'func': 'DEF', 'println': 'PRINT', 'pass': 'PASS', 'let': 'LET',
-          'const': 'CONST', 'var': 'VAR', 'NEW': 'NEW', 'readln': 'READLN', 'return': 'RETURN'
-        };
-        const type = keywords[id] || 'IDENTIFIER';
-        return new Token(type, id);
+        return this.token(Lexer.isKeyword(id) ? Lexer.KEYWORDS[id] : 'IDENTIFIER', id, start);
       }
 
       // Numbers
       if (/[0-9]/.test(this.current_char)) {
-        let number = '';
-        while (this.current_char !== null && /[0-9]/.test(this.current_char)) {
-          number += this.current_char;
-          this.advance();
-        }
-        return new Token('NUMBER', number);
+        return this.token('NUMBER', this.numberLiteral(), start);
       }
 
       // Operators and Punctuation (Single and Double Character)
       if (this.current_char === '=') {
-        if (this.peek() === '=') { this.advance(); this.advance(); return new Token('EQUAL_EQUAL', '=='); }
-        this.advance(); return new Token('EQUAL', '=');
+        if (this.peek() === '=') { return this.operator('EQUAL_EQUAL', '=='); }
+        if (this.peek() === '>') { return this.operator('ARROW', '=>'); }
+        return this.operator('EQUAL', '=');
       }
       if (this.current_char === '!') {
-        if (this.peek() === '=') { this.advance(); this.advance(); return new Token('NOT_EQUAL', '!='); }
-        throw new Error(`Lexer Error: Invalid character: ${this.current_char}`);
+        if (this.peek() === '=') { return this.operator('NOT_EQUAL', '!='); }
+        return this.operator('NOT', '!');
       }
+      if (this.current_char === '&' && this.peek() === '&') { return this.operator('AND', '&&'); }
+      if (this.current_char === '|' && this.peek() === '|') { return this.operator('OR', '||'); }
       if (this.current_char === '<') {
-        if (this.peek() === '=') { this.advance(); this.advance(); return new Token('LESS_EQUAL', '<='); }
-        this.advance(); return new Token('LESS_THAN', '<');
+        if (this.peek() === '=') { return this.operator('LESS_EQUAL', '<='); }
+        return this.operator('LESS_THAN', '<');
       }
       if (this.current_char === '>') {
-        if (this.peek() === '=') { this.advance(); this.advance(); return new Token('GREATER_EQUAL', '>='); }
-        this.advance(); return new Token('GREATER_THAN', '>');
+        if (this.peek() === '=') { return this.operator('GREATER_EQUAL', '>='); }
+        return this.operator('GREATER_THAN', '>');
+      }
+
+      if (this.current_char === '+') {
+        if (this.peek() === '+') { return this.operator('PLUS_PLUS', '++'); }
+        if (this.peek() === '=') { return this.operator('PLUS_EQUAL', '+='); }
+        return this.operator('PLUS', '+');
+      }
+      if (this.current_char === '-') {
+        if (this.peek() === '-') { return this.operator('MINUS_MINUS', '--'); }
+        if (this.peek() === '=') { return this.operator('MINUS_EQUAL', '-='); }
+        return this.operator('MINUS', '-');
       }
+      if (this.current_char === '*') {
+        if (this.peek() === '=') { return this.operator('MULTIPLY_EQUAL', '*='); }
+        return this.operator('MULTIPLY', '*');
+      }
+      if (this.current_char === '/') {
+        if (this.peek() === '=') { return this.operator('DIVIDE_EQUAL', '/='); }
+        return this.operator('DIVIDE', '/');
+      }
+      if (this.current_char === '%') {
+        if (this.peek() === '=') { return this.operator('MODULO_EQUAL', '%='); }
+        return this.operator('MODULO', '%');
+      }
+      if (this.current_char === '~' && this.peek() === '/') { return this.operator('INT_DIVIDE', '~/'); }
 
-      if (this.current_char === '+') { this.advance(); return new Token('PLUS', '+'); }
-      if (this.current_char === '-') { this.advance(); return new Token('MINUS', '-'); }
-      if (this.current_char === '*') { this.advance(); return new Token('MULTIPLY', '*'); }
-      if (this.current_char === '/') { this.advance(); return new Token('DIVIDE', '/'); }
-      if (this.current_char === '%') { this.advance(); return new Token('MODULO', '%'); }
-
-      if (this.current_char === '(') { this.advance(); return new Token('LPAREN', '('); }
-      if (this.current_char === ')') { this.advance(); return new Token('RPAREN', ')'); }
-      if (this.current_char === '{') { this.advance(); return new Token('LBRACE', '{'); }
-      if (this.current_char === '}') { this.advance(); return new Token('RBRACE', '}'); }
-      if (this.current_char === ';') { this.advance(); return new Token('SEMICOLON', ';'); }
-      if (this.current_char === ',') { this.advance(); return new Token('COMMA', ','); }
-      if (this.current_char === '.') { this.advance(); return new Token('DOT', '.'); }
-      if (this.current_char === '@') { this.advance(); return new Token('AT', "@"); }
+      if (this.current_char === '(') { return this.operator('LPAREN', '('); }
+      if (this.current_char === ')') { return this.operator('RPAREN', ')'); }
+      if (this.current_char === '{') {
+        this.brace_depth += 1;
+        return this.operator('LBRACE', '{');
+      }
+      if (this.current_char === '}') {
+        const template = this.template_stack[this.template_stack.length - 1];
+        if (template && template.depth === this.brace_depth) {
+          // Closes an interpolation: continue with the template text after it.
+          this.template_stack.pop();
+          this.advance();
+          return this.templateChunk(start, template.start, 'TEMPLATE_MIDDLE', 'TEMPLATE_TAIL');
+        }
+        this.brace_depth -= 1;
+        return this.operator('RBRACE', '}');
+      }
+      if (this.current_char === '[') { return this.operator('LBRACKET', '['); }
+      if (this.current_char === ']') { return this.operator('RBRACKET', ']'); }
+      if (this.current_char === ';') { return this.operator('SEMICOLON', ';'); }
+      if (this.current_char === ':') { return this.operator('COLON', ':'); }
+      if (this.current_char === ',') { return this.operator('COMMA', ','); }
+      if (this.current_char === '.') { return this.operator('DOT', '.'); }
+      if (this.current_char === '@') { return this.operator('AT', "@"); }
 
       // String and Backtick Literals
       if (this.current_char === '"' || this.current_char === "'") {
-        return new Token('STRING_LITERAL', this.stringLiteral(this.current_char));
+        const value = this.stringLiteral(this.current_char);
+        return this.token('STRING_LITERAL', value, start);
       }
       if (this.current_char === '`') {
-        return new Token('BACKTICK_STRING', this.backtickStringLiteral());
+        this.advance();
+        return this.templateChunk(start, start, 'TEMPLATE_HEAD', 'BACKTICK_STRING');
       }
 
-      throw new Error(`Lexer Error: Invalid character: ${this.current_char}`);
+      this.fail(`Invalid character: ${this.current_char}`, { start, end: { line: start.line, column: start.column + 1 } });
+      this.advance();
     }
-    return null; // EOF
+    return this.endOfInput();
   }
 
   public tokenize(): Token[] {
@@ -195,16 +519,65 @@ export class Lexer {
     }
     return tokens;
   }
+
+  // Tokenizes the whole text without stopping at the first error: a bad character is skipped,
+  // a bad escape or number is kept as written, and an unterminated string ends at its line.
+  public tokenizeWithRecovery(): LexResult {
+    this.recovering = true;
+    this.errors = [];
+    return { tokens: this.tokenize(), errors: this.errors };
+  }
 }
 
 // ====================================================================
 // 3. Parser
 // ====================================================================
 
+// Converts the source text of a NUMBER token (see Lexer.numberLiteral) into its value.
+export function numberLiteralValue(text: string): number {
+    const digits = text.replace(/_/g, '');
+    if (/^0[xX]/.test(digits)) {
+        return parseInt(digits.slice(2), 16);
+    }
+    if (/^0[bB]/.test(digits)) {
+        return parseInt(digits.slice(2), 2);
+    }
+    return Number(digits);
+}
+
 export class Parser {
     private tokens: Token[];
     private current_token: Token | null = null;
     private token_index: number = -1;
+    private recovering: boolean = false;
+    private errors: PayJarError[] = [];
+
+    // Tokens that can start a statement or member; error recovery resumes at them.
+    private static readonly SYNC_TOKENS: TokenType[] = [
+        'PRINT', 'LET', 'CONST', 'VAR', 'DEF', 'CLASS', 'PUBLIC', 'PRIVATE', 'RETURN',
+        'IF', 'WHILE', 'FOR', 'BREAK', 'CONTINUE', 'TRY', 'THROW'
+    ];
+
+    private static readonly CONTROL_FLOW_TOKENS: TokenType[] = ['IF', 'WHILE', 'FOR', 'BREAK', 'CONTINUE', 'TRY', 'THROW'];
+
+    // Tokens that start an assignment, update or call statement (see parseExpressionStatement).
+    private static readonly EXPRESSION_STATEMENT_TOKENS: TokenType[] = ['IDENTIFIER', 'SELF', 'SUPER', 'NEW', 'LPAREN', 'READLN', 'PLUS_PLUS', 'MINUS_MINUS'];
+
+    // Expressions that may stand alone as a statement: calls and `++`/`--`, whose effects are their point.
+    private static readonly STATEMENT_EXPRESSION_TYPES: string[] = ['function_call', 'call_expression', 'super_call', 'object_creation', 'readln', 'update_expression'];
+
+    // Compound assignment tokens and the binary operator each one applies.
+    private static readonly COMPOUND_ASSIGNMENT_OPERATORS: Partial<Record<TokenType, string>> = {
+        PLUS_EQUAL: '+', MINUS_EQUAL: '-', MULTIPLY_EQUAL: '*', DIVIDE_EQUAL: '/', MODULO_EQUAL: '%'
+    };
+
+    // Number of loops enclosing the current position; `break`/`continue` are only valid inside one.
+    private loop_depth: number = 0;
+
+    // Base class of the class being parsed, and whether `super` is valid at the current position
+    // (only inside methods of a class that extends another).
+    private class_base: string | null = null;
+    private super_allowed: boolean = false;
 
     constructor(tokens: Token[]) {
         this.tokens = tokens;
@@ -220,7 +593,76 @@ export class Parser {
         if (this.current_token && this.current_token.type === token_type) {
             this.advance();
         } else {
-            throw new Error(`Syntax Error: Expected ${token_type}, but got ${this.current_token?.type ?? 'EOF'}. Index: ${this.token_index}`);
+            throw new PayJarError(`Syntax Error: Expected ${token_type}, but got ${this.current_token?.type ?? 'EOF'}.`, this.currentSpan());
+        }
+    }
+
+    // Span of the current token, or a zero-width span just past the last token at EOF.
+    private currentSpan(): SourceSpan {
+        if (this.current_token) {
+            return this.current_token.span;
+        }
+        const last = this.tokens[this.tokens.length - 1];
+        return last ? { start: last.span.end, end: last.span.end } : EMPTY_SPAN;
+    }
+
+    // Span from the start of `start` to the end of the most recently consumed token.
+    private spanFrom(start: SourceSpan): SourceSpan {
+        const previous = this.tokens[this.token_index - 1];
+        return previous ? joinSpans(start, previous.span) : start;
+    }
+
+    // --- Error Recovery ---
+
+    // Parses one statement. In recovery mode a syntax error is recorded and the parser skips
+    // ahead to the next statement; otherwise the error propagates as usual.
+    private recover<T>(parseStatement: () => T): T | null {
+        if (!this.recovering) {
+            return parseStatement();
+        }
+        const startIndex = this.token_index;
+        try {
+            return parseStatement();
+        } catch (e) {
+            if (!(e instanceof PayJarError)) {
+                throw e;
+            }
+            this.errors.push(e);
+            if (this.token_index === startIndex) {
+                this.advance(); // Always make progress past the offending token
+            }
+            // Braces the statement opened before failing, such as those of a map literal, are
+            // closed before looking for the next statement.
+            let depth = 0;
+            for (const token of this.tokens.slice(startIndex, this.token_index)) {
+                depth += token.type === 'LBRACE' ? 1 : token.type === 'RBRACE' ? -1 : 0;
+            }
+            this.synchronize(Math.max(depth, 0));
+            return null;
+        }
+    }
+
+    // Skips tokens until just after a ';', or until a '}' closing the enclosing block or a
+    // statement keyword. Blocks opened while skipping, or `depth` blocks already open, are
+    // skipped as a whole.
+    private synchronize(depth: number = 0): void {
+        while (this.current_token) {
+            const type = this.current_token.type;
+            if (depth === 0) {
+                if (type === 'SEMICOLON') {
+                    this.advance();
+                    return;
+                }
+                if (type === 'RBRACE' || Parser.SYNC_TOKENS.includes(type)) {
+                    return;
+                }
+            }
+            if (type === 'LBRACE') {
+                depth += 1;
+            } else if (type === 'RBRACE') {
+                depth -= 1;
+            }
+            this.advance();
         }
     }
 
@@ -229,117 +671,199 @@ export class Parser {
         return this.parseMain();
     }
 
+    // Parses the whole program without stopping at the first syntax error.
+    public parseWithRecovery(): ParseResult {
+        this.recovering = true;
+        this.errors = [];
+        let ast: MainDefinitionNode;
+        try {
+            ast = this.parseMain();
+        } catch (e) {
+            // A broken main class header leaves nothing to recover.
+            if (!(e instanceof PayJarError)) {
+                throw e;
+            }
+            this.errors.push(e);
+            ast = { type: "main_definition", name: "", body: [], span: EMPTY_SPAN };
+        }
+        return { ast, errors: this.errors };
+    }
+
     private parseMain(): MainDefinitionNode {
+        const start = this.currentSpan();
         this.eat('PUBLIC');
         this.eat('CLASS');
-        const className = this.current_token!.value;
-        this.eat('MAIN');
+        const className = this.current_token?.value ?? '';
+        // The main class is conventionally written `Main`, which lexes as an identifier.
+        if (this.current_token?.type === 'IDENTIFIER') {
+            this.eat('IDENTIFIER');
+        } else {
+            this.eat('MAIN');
+        }
         this.eat('LPAREN');
         this.eat('AT');
         this.eat('SELF');
         this.eat('RPAREN');
         this.eat('LBRACE');
         const mainBody = this.parseMainBody();
+        this.recover(() => this.parseMainEnd());
+        return { type: "main_definition", name: className, body: mainBody, span: this.spanFrom(start) };
+    }
+
+    private parseMainEnd(): void {
         this.eat('RBRACE');
-        return { type: "main_definition", name: className, body: mainBody };
+        if (this.current_token) {
+            throw new PayJarError(`Syntax Error: Unexpected token after the main class: ${this.current_token.type}`, this.currentSpan());
+        }
     }
 
     private parseMainBody(): ASTNode[] {
         const statements: ASTNode[] = [];
         while (this.current_token && this.current_token.type !== 'RBRACE') {
-            if (this.current_token.type === 'PRINT') {
-                statements.push(this.parsePrintStatement());
-            } else if (['VAR', 'CONST', 'LET'].includes(this.current_token.type)) {
-                statements.push(this.parseVariableDeclaration());
-            } else if (this.current_token.type === 'DEF') {
-                statements.push(this.parseFunctionDefinition());
-            } else if (this.current_token.type === 'PUBLIC' || this.current_token.type === 'CLASS') {
-                statements.push(this.parseClassDefinition());
-            } else if (this.current_token.type === 'IDENTIFIER') {
-                const nextToken = this.tokens[this.token_index + 1];
-                if (nextToken?.type === 'EQUAL') {
-                    statements.push(this.parseAssignmentStatement());
-                } else if (nextToken?.type === 'DOT') {
-                    const objName = this.current_token.value;
-                    this.eat('IDENTIFIER');
-                    const objExpr: ASTNode = { type: "variable_access", name: objName };
-                    const expr = this.parseMemberAccess(objExpr);
-                    statements.push(expr);
-                    if (expr.type === "member_access" && expr.is_call) {
-                        this.eat('SEMICOLON');
-                    }
-                } else if (nextToken?.type === 'LPAREN') {
-                    const expr = this.parseFunctionCallExpression();
-                    statements.push(expr);
-                    this.eat('SEMICOLON');
-                } else {
-                    throw new Error(`Syntax Error: Unexpected token in main body: ${this.current_token.type}`);
-                }
-            } else {
-                throw new Error(`Syntax Error: Unexpected token in main body: ${this.current_token.type}`);
+            const statement = this.recover(() => this.parseMainStatement());
+            if (statement) {
+                statements.push(statement);
             }
         }
         return statements;
     }
+
+    private parseMainStatement(): ASTNode {
+        if (Parser.CONTROL_FLOW_TOKENS.includes(this.current_token!.type)) {
+            return this.parseControlFlowStatement(() => this.parseMainStatement());
+        } else if (this.current_token!.type === 'PRINT') {
+            return this.parsePrintStatement();
+        } else if (['VAR', 'CONST', 'LET'].includes(this.current_token!.type)) {
+            return this.parseVariableDeclaration();
+        } else if (this.current_token!.type === 'DEF') {
+            return this.parseFunctionDefinition();
+        } else if (this.current_token!.type === 'PUBLIC' || this.current_token!.type === 'CLASS') {
+            return this.parseClassDefinition();
+        } else if (Parser.EXPRESSION_STATEMENT_TOKENS.includes(this.current_token!.type)) {
+            return this.parseExpressionStatement();
+        }
+        throw new PayJarError(`Syntax Error: Unexpected token in main body: ${this.current_token!.type}`, this.currentSpan());
+    }
     
+    // An assignment to a variable, member or index target at any depth (`a.b[0].c = 1;`), a
+    // compound assignment (`total += x;`), an increment or decrement (`i++;`), or a call
+    // (`makeObj().run();`). For-loop headers parse their clauses without the semicolon.
+    private parseExpressionStatement(expectSemicolon: boolean = true): ASTNode {
+        const start = this.currentSpan();
+        const expr = this.parseUnary();
+        const compoundOperator = this.current_token ? Parser.COMPOUND_ASSIGNMENT_OPERATORS[this.current_token.type] : undefined;
+        let statement: ASTNode;
+        if (this.current_token?.type === 'EQUAL') {
+            this.eat('EQUAL');
+            statement = this.assignmentTo(expr, this.parseExpression(), start);
+        } else if (compoundOperator) {
+            this.advance();
+            const target = this.checkAssignable(expr, start);
+            statement = { type: "compound_assignment", target, operator: compoundOperator, value: this.parseExpression(), span: this.spanFrom(start) };
+        } else if (Parser.STATEMENT_EXPRESSION_TYPES.includes(expr.type) || (expr.type === "member_access" && expr.is_call)) {
+            statement = expr;
+        } else {
+            throw new PayJarError("Syntax Error: Only assignments and calls can be used as statements.", expr.span ?? start);
+        }
+        if (expectSemicolon) {
+            this.eat('SEMICOLON');
+        }
+        return statement;
+    }
+
+    // Builds the assignment node for `target = value`.
+    private assignmentTo(target: ASTNode, value: ASTNode, start: SourceSpan): ASTNode {
+        const span = this.spanFrom(start);
+        if (target.type === "variable_access" && target.name !== 'self') {
+            return { type: "assignment_statement", name: target.name, value, name_span: target.span, span };
+        }
+        if (target.type === "member_access" && !target.is_call) {
+            return { type: "member_assignment", object: target.object, member: target.member, value, member_span: target.member_span, span };
+        }
+        if (target.type === "index_access") {
+            return { type: "index_assignment", object: target.object, index: target.index, value, span };
+        }
+        throw new PayJarError("Syntax Error: Invalid assignment target; expected a variable, field or index.", target.span ?? start);
+    }
+
+    // Targets of compound assignments and `++`/`--` keep their access node, which the interpreter
+    // reads and writes in place. The same targets as for `=` are allowed.
+    private checkAssignable(target: ASTNode, start: SourceSpan): ASTNode {
+        if ((target.type === "variable_access" && target.name !== 'self') ||
+            (target.type === "member_access" && !target.is_call) ||
+            target.type === "index_access") {
+            return target;
+        }
+        throw new PayJarError("Syntax Error: Invalid assignment target; expected a variable, field or index.", target.span ?? start);
+    }
+
     // --- Utility Parsing Functions ---
 
     private parsePrintStatement(): ASTNode {
+        const start = this.currentSpan();
         this.eat('PRINT');
         this.eat('LPAREN');
         const expression = this.parseExpression();
         this.eat('RPAREN');
         this.eat('SEMICOLON');
-        return { type: "print_statement", expression };
+        return { type: "print_statement", expression, span: this.spanFrom(start) };
     }
 
-    private parseInputStatement(): LiteralNode {
+    // `readln()` or `readln(prompt)`: reads one line of input at runtime.
+    private parseInputStatement(): ASTNode {
+        const start = this.currentSpan();
         this.eat('READLN');
         this.eat('LPAREN');
-        // In the parser, we just capture the prompt expression structure
-        const promptExpr = this.parseExpression() as LiteralNode;
+        const prompt = this.current_token?.type === 'RPAREN' ? null : this.parseExpression();
         this.eat('RPAREN');
-        
-        // This is a placeholder structure to satisfy the interpreter later, 
-        // the actual value acquisition happens in the Interpreter.
-        return {
-            type: "literal",
-            data_type: 'string',
-            value: "", // Placeholder value
-            prompt: promptExpr.value as string // Extract the prompt string
-        };
+        return { type: "readln", prompt, span: this.spanFrom(start) };
     }
     
     private parseVariableDeclaration(): ASTNode {
+        const start = this.currentSpan();
         const declarationType = this.current_token!.type;
         this.advance();
-        const variableName = this.current_token!.value;
+        const variableName = this.current_token?.value;
+        const nameSpan = this.currentSpan();
         this.eat('IDENTIFIER');
         this.eat('EQUAL');
         const valueExpression = this.parseExpression();
         this.eat('SEMICOLON');
-        return { type: "variable_declaration", kind: declarationType, name: variableName, value: valueExpression };
-    }
-
-    private parseAssignmentStatement(): ASTNode {
-        const variableName = this.current_token!.value;
-        this.eat('IDENTIFIER');
-        this.eat('EQUAL');
-        const valueExpression = this.parseExpression();
-        this.eat('SEMICOLON');
-        return { type: "assignment_statement", name: variableName, value: valueExpression };
+        return { type: "variable_declaration", kind: declarationType, name: variableName, value: valueExpression, name_span: nameSpan, span: this.spanFrom(start) };
     }
 
     // --- Expression Parsing (Recursive Descent with Precedence) ---
 
-    // Entry point: Handles comparison (lowest precedence)
+    // Entry point: Handles logical OR (lowest precedence)
     private parseExpression(): ASTNode {
+        let left = this.parseLogicalAnd();
+        while (this.current_token && this.current_token.type === 'OR') {
+            this.advance();
+            const right = this.parseLogicalAnd();
+            left = { type: "logical_op", operator: '||', left, right, span: joinSpans(left.span!, right.span!) };
+        }
+        return left;
+    }
+
+    // Logical AND
+    private parseLogicalAnd(): ASTNode {
+        let left = this.parseComparison();
+        while (this.current_token && this.current_token.type === 'AND') {
+            this.advance();
+            const right = this.parseComparison();
+            left = { type: "logical_op", operator: '&&', left, right, span: joinSpans(left.span!, right.span!) };
+        }
+        return left;
+    }
+
+    // Comparison
+    private parseComparison(): ASTNode {
         let left = this.parseTerm();
         while (this.current_token && ['EQUAL_EQUAL', 'NOT_EQUAL', 'LESS_THAN', 'GREATER_THAN', 'LESS_EQUAL', 'GREATER_EQUAL'].includes(this.current_token.type)) {
             const operator = this.current_token.value;
             this.advance();
             const right = this.parseTerm();
-            left = { type: "binary_op", operator, left, right };
+            left = { type: "binary_op", operator, left, right, span: joinSpans(left.span!, right.span!) };
         }
         return left;
     }
@@ -351,86 +875,214 @@ export class Parser {
             const operator = this.current_token.value;
             this.advance();
             const right = this.parseFactor();
-            left = { type: "binary_op", operator, left, right };
+            left = { type: "binary_op", operator, left, right, span: joinSpans(left.span!, right.span!) };
         }
         return left;
     }
 
-    // Multiplication/Division/Modulo and Unary
+    // Multiplication/Division/Modulo
     private parseFactor(): ASTNode {
-        // Unary Plus/Minus
-        if (this.current_token && ['PLUS', 'MINUS'].includes(this.current_token.type)) {
+        let left = this.parseUnary();
+        while (this.current_token && ['MULTIPLY', 'DIVIDE', 'INT_DIVIDE', 'MODULO'].includes(this.current_token.type)) {
             const operator = this.current_token.value;
             this.advance();
-            const operand = this.parsePrimaryExpression();
-            return { type: "unary_op", operator, operand };
+            const right = this.parseUnary();
+            left = { type: "binary_op", operator, left, right, span: joinSpans(left.span!, right.span!) };
         }
+        return left;
+    }
 
-        let left = this.parsePrimaryExpression();
-        while (this.current_token && ['MULTIPLY', 'DIVIDE', 'MODULO'].includes(this.current_token.type)) {
+    // Unary Plus/Minus/Not
+    private parseUnary(): ASTNode {
+        if (this.current_token && ['PLUS', 'MINUS', 'NOT'].includes(this.current_token.type)) {
+            const start = this.currentSpan();
             const operator = this.current_token.value;
             this.advance();
-            const right = this.parsePrimaryExpression();
-            left = { type: "binary_op", operator, left, right };
+            const operand = this.parseUnary();
+            return { type: "unary_op", operator, operand, span: this.spanFrom(start) };
         }
-        return left;
+        if (this.current_token && ['PLUS_PLUS', 'MINUS_MINUS'].includes(this.current_token.type)) {
+            const start = this.currentSpan();
+            const operator = this.current_token.value;
+            this.advance();
+            const target = this.checkAssignable(this.parsePostfixExpression(), start);
+            return { type: "update_expression", target, operator, prefix: true, span: this.spanFrom(start) };
+        }
+        return this.parsePostfixExpression();
+    }
+
+    // Indexing (`a[i]`), member access and calls (`f(1)(2)`) following a primary expression
+    private parsePostfixExpression(): ASTNode {
+        let expr = this.parsePrimaryExpression();
+        while (this.current_token && ['LBRACKET', 'DOT', 'LPAREN'].includes(this.current_token.type)) {
+            if (this.current_token.type === 'DOT') {
+                expr = this.parseMemberAccess(expr);
+                continue;
+            }
+            if (this.current_token.type === 'LPAREN') {
+                this.eat('LPAREN');
+                const argumentsList = this.parseArguments();
+                this.eat('RPAREN');
+                expr = { type: "call_expression", callee: expr, arguments: argumentsList, span: this.spanFrom(expr.span!) };
+                continue;
+            }
+            this.eat('LBRACKET');
+            const index = this.parseExpression();
+            this.eat('RBRACKET');
+            expr = { type: "index_access", object: expr, index, span: this.spanFrom(expr.span!) };
+        }
+        return this.parsePostfixUpdate(expr);
+    }
+
+    // `x++` / `x--`: updates the target and evaluates to its old value.
+    private parsePostfixUpdate(expr: ASTNode): ASTNode {
+        if (this.current_token && ['PLUS_PLUS', 'MINUS_MINUS'].includes(this.current_token.type)) {
+            const operator = this.current_token.value;
+            const target = this.checkAssignable(expr, expr.span!);
+            this.advance();
+            return { type: "update_expression", target, operator, prefix: false, span: this.spanFrom(expr.span!) };
+        }
+        return expr;
     }
 
     // Literals, Identifiers, Calls, New, Parenthesized (highest precedence)
     private parsePrimaryExpression(): ASTNode {
-        if (this.current_token!.type === 'STRING_LITERAL') {
+        const start = this.currentSpan();
+        if (this.current_token?.type === 'STRING_LITERAL') {
             const value = this.current_token!.value;
             this.eat('STRING_LITERAL');
-            return { type: "literal", value, data_type: "string" };
-        } else if (this.current_token!.type === 'NUMBER') {
-            const value = parseInt(this.current_token!.value, 10);
+            return { type: "literal", value, data_type: "string", span: start };
+        } else if (this.current_token?.type === 'NUMBER') {
+            const value = numberLiteralValue(this.current_token!.value);
             this.eat('NUMBER');
-            return { type: "literal", value, data_type: "number" };
-        } else if (this.current_token!.type === 'BACKTICK_STRING') {
-            const stringContent = this.current_token!.value;
-            this.eat('BACKTICK_STRING');
-            const templateParts: ASTNode[] = [];
-            // Simplified regex matching for ${variableName} using JS RegExp
-            const parts = stringContent.split(/(\$\{(\w+)\})/g).filter(p => p !== '');
-
-            for (let i = 0; i < parts.length; i++) {
-                const part = parts[i];
-                if (part.startsWith('${') && part.endsWith('}')) {
-                    const varName = part.substring(2, part.length - 1);
-                    templateParts.push({ type: "variable_access", name: varName });
-                    i++; // Skip the variable name part if using the regex capture group trick
-                } else if (i % 2 === 0) { // Simple literal split (less robust than the Python original, but simpler in JS)
-                    if (part) templateParts.push({ type: "literal", value: part, data_type: "string" });
-                }
-            }
-            return { type: "template_string", parts: templateParts };
-        } else if (this.current_token!.type === 'IDENTIFIER') {
+            return { type: "literal", value, data_type: "number", span: start };
+        } else if (this.current_token?.type === 'TRUE' || this.current_token?.type === 'FALSE') {
+            const value = this.current_token.type === 'TRUE';
+            this.advance();
+            return { type: "literal", value, data_type: "boolean", span: start };
+        } else if (this.current_token?.type === 'NULL') {
+            this.eat('NULL');
+            return { type: "literal", value: null, data_type: "null", span: start };
+        } else if (this.current_token?.type === 'BACKTICK_STRING' || this.current_token?.type === 'TEMPLATE_HEAD') {
+            return this.parseTemplateString();
+        } else if (this.current_token?.type === 'IDENTIFIER' && this.tokens[this.token_index + 1]?.type === 'ARROW') {
+            return this.parseArrowFunction();
+        } else if (this.current_token?.type === 'IDENTIFIER') {
             const name = this.current_token!.value;
             this.advance();
             const nextToken = this.current_token;
 
             if (nextToken?.type === 'LPAREN') {
-                return this.parseFunctionCallExpression(name);
+                return this.parseFunctionCallExpression(name, start);
             } else if (nextToken?.type === 'DOT') {
-                const objExpr: ASTNode = { type: "variable_access", name };
+                const objExpr: ASTNode = { type: "variable_access", name, span: start };
                 return this.parseMemberAccess(objExpr);
             } else {
-                return { type: "variable_access", name };
+                return { type: "variable_access", name, span: start };
             }
-        } else if (this.current_token!.type === 'READLN') {
+        } else if (this.current_token?.type === 'LBRACKET') {
+            return this.parseArrayLiteral();
+        } else if (this.current_token?.type === 'LBRACE') {
+            // Blocks never start an expression, so a brace here always opens a map literal.
+            return this.parseMapLiteral();
+        } else if (this.current_token?.type === 'SELF') {
+            this.eat('SELF');
+            return { type: "variable_access", name: "self", span: start };
+        } else if (this.current_token?.type === 'SUPER') {
+            return this.parseSuperCall();
+        } else if (this.current_token?.type === 'READLN') {
             return this.parseInputStatement();
-        } else if (this.current_token!.type === 'NEW') {
+        } else if (this.current_token?.type === 'NEW') {
             return this.parseNewExpression();
-        } else if (this.current_token!.type === 'LPAREN') {
+        } else if (this.current_token?.type === 'DEF') {
+            return this.parseFunctionExpression();
+        } else if (this.current_token?.type === 'LPAREN' && this.isArrowFunctionAhead()) {
+            return this.parseArrowFunction();
+        } else if (this.current_token?.type === 'LPAREN') {
             this.eat('LPAREN');
             const expr = this.parseExpression();
             this.eat('RPAREN');
             return expr;
         } else {
-            throw new Error(`Syntax Error: Unexpected token in primary expression: ${this.current_token?.type ?? 'EOF'}`);
+            throw new PayJarError(`Syntax Error: Unexpected token in primary expression: ${this.current_token?.type ?? 'EOF'}`, start);
         }
     }
     
+    // `text ${expr} text`. The lexer splits it into a TEMPLATE_HEAD, TEMPLATE_MIDDLEs and a
+    // TEMPLATE_TAIL around the embedded expressions; without any it is a single BACKTICK_STRING.
+    private parseTemplateString(): ASTNode {
+        const start = this.currentSpan();
+        const parts: ASTNode[] = [];
+        if (this.current_token?.type === 'BACKTICK_STRING') {
+            this.parseTemplateChunk('BACKTICK_STRING', parts);
+        } else {
+            this.parseTemplateChunk('TEMPLATE_HEAD', parts);
+            let more = true;
+            while (more) {
+                parts.push(this.parseExpression());
+                more = this.current_token?.type === 'TEMPLATE_MIDDLE';
+                this.parseTemplateChunk(more ? 'TEMPLATE_MIDDLE' : 'TEMPLATE_TAIL', parts);
+            }
+        }
+        return { type: "template_string", parts, span: this.spanFrom(start) };
+    }
+
+    private parseTemplateChunk(type: TokenType, parts: ASTNode[]): void {
+        const value = this.current_token?.value ?? '';
+        const span = this.currentSpan();
+        this.eat(type);
+        if (value !== '') {
+            parts.push({ type: "literal", value, data_type: "string", span });
+        }
+    }
+
+    // `[a, b, c]`, optionally with a trailing comma
+    private parseArrayLiteral(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('LBRACKET');
+        const elements: ASTNode[] = [];
+        while (this.current_token && this.current_token.type !== 'RBRACKET') {
+            elements.push(this.parseExpression());
+            if (this.current_token?.type !== 'COMMA') {
+                break;
+            }
+            this.eat('COMMA');
+        }
+        this.eat('RBRACKET');
+        return { type: "array_literal", elements, span: this.spanFrom(start) };
+    }
+
+    // `{ "key": value, name: value }`. Bare identifier and number keys are allowed;
+    // an identifier key stands for its name as a string.
+    private parseMapLiteral(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('LBRACE');
+        const entries: { key: ASTNode, value: ASTNode }[] = [];
+        while (this.current_token && this.current_token.type !== 'RBRACE') {
+            const key = this.parseMapKey();
+            this.eat('COLON');
+            entries.push({ key, value: this.parseExpression() });
+            if (this.current_token?.type !== 'COMMA') {
+                break;
+            }
+            this.eat('COMMA');
+        }
+        this.eat('RBRACE');
+        return { type: "map_literal", entries, span: this.spanFrom(start) };
+    }
+
+    private parseMapKey(): ASTNode {
+        const keySpan = this.currentSpan();
+        if (this.current_token?.type === 'IDENTIFIER') {
+            const name = this.current_token.value;
+            this.eat('IDENTIFIER');
+            return { type: "literal", value: name, data_type: "string", span: keySpan };
+        } else if (this.current_token?.type === 'STRING_LITERAL' || this.current_token?.type === 'NUMBER') {
+            return this.parsePrimaryExpression();
+        }
+        throw new PayJarError(`Syntax Error: Expected a map key, but got ${this.current_token?.type ?? 'EOF'}.`, keySpan);
+    }
+
     private parseArguments(): ASTNode[] {
         const argumentsList: ASTNode[] = [];
         if (this.current_token && this.current_token.type !== 'RPAREN') {
@@ -443,19 +1095,22 @@ export class Parser {
         return argumentsList;
     }
 
-    private parseFunctionCallExpression(name?: string): ASTNode {
-        const functionName = name || this.current_token!.value;
+    private parseFunctionCallExpression(name?: string, nameSpan?: SourceSpan): ASTNode {
+        const start = nameSpan ?? this.currentSpan();
+        const functionName = name || this.current_token?.value;
         if (!name) this.eat('IDENTIFIER'); // Consume if not already consumed by parsePrimaryExpression
         
         this.eat('LPAREN');
         const argumentsList = this.parseArguments();
         this.eat('RPAREN');
-        return { type: "function_call", name: functionName, arguments: argumentsList };
+        return { type: "function_call", name: functionName, arguments: argumentsList, name_span: start, span: this.spanFrom(start) };
     }
 
     private parseMemberAccess(objExpr: ASTNode): ASTNode {
+        const start = objExpr.span ?? this.currentSpan();
         this.eat('DOT');
-        const memberName = this.current_token!.value;
+        const memberName = this.current_token?.value;
+        const memberSpan = this.currentSpan();
         this.eat('IDENTIFIER');
         let isCall = false;
         let memberArgs: ASTNode[] = [];
@@ -467,40 +1122,63 @@ export class Parser {
             this.eat('RPAREN');
         }
 
-        // Check for assignment (e.g., obj.property = value;)
-        if (this.current_token && this.current_token.type === 'EQUAL') {
-            this.eat('EQUAL');
-            const valueExpr = this.parseExpression();
-            this.eat('SEMICOLON');
-            return { type: "member_assignment", object: objExpr, member: memberName, value: valueExpr };
-        }
-
-        // If not an assignment, it's an access or a method call
-        return { type: "member_access", object: objExpr, member: memberName, is_call: isCall, arguments: memberArgs };
+        // Assignments to members are built by parseExpressionStatement
+        return { type: "member_access", object: objExpr, member: memberName, is_call: isCall, arguments: memberArgs, member_span: memberSpan, span: this.spanFrom(start) };
     }
 
-    private parseNewExpression(): ASTNode {
-        this.eat('NEW');
-        const className = this.current_token!.value;
+    // `super.method(args)`, including `super.init(args)`
+    private parseSuperCall(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('SUPER');
+        if (!this.super_allowed) {
+            throw new PayJarError("Syntax Error: 'super' is only allowed inside methods of a class that extends another class.", start);
+        }
+        this.eat('DOT');
+        const methodName = this.current_token?.value;
+        const methodSpan = this.currentSpan();
+        this.eat('IDENTIFIER');
+        this.eat('LPAREN');
+        const argumentsList = this.parseArguments();
+        this.eat('RPAREN');
+        return { type: "super_call", method: methodName, arguments: argumentsList, method_span: methodSpan, span: this.spanFrom(start) };
+    }
+
+    private parseNewExpression(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('NEW');
+        const className = this.current_token?.value;
+        const nameSpan = this.currentSpan();
         this.eat('IDENTIFIER');
         this.eat('LPAREN');
         const argumentsList = this.parseArguments();
         this.eat('RPAREN');
-        return { type: "object_creation", class_name: className, arguments: argumentsList };
+        return { type: "object_creation", class_name: className, arguments: argumentsList, name_span: nameSpan, span: this.spanFrom(start) };
     }
 
     // --- Class/Function Definition Logic (methods omitted for space, but follow Python logic) ---
     // The Python implementation for parse_class_definition, parse_function_definition, etc., 
     // are directly convertible but are lengthy. Their structures remain the same.
     private parseClassDefinition(): ASTNode { 
+        const start = this.currentSpan();
         if (this.current_token?.type === 'PUBLIC') this.eat('PUBLIC');
         this.eat('CLASS');
-        const className = this.current_token!.value;
+        const className = this.current_token?.value;
+        const nameSpan = this.currentSpan();
         this.eat('IDENTIFIER');
         this.eat('LPAREN');
         this.eat('AT');
         this.eat('INNERSELF');
         this.eat('RPAREN');
+
+        // `extends Base`
+        let base: string | null = null;
+        let baseSpan: SourceSpan | null = null;
+        if (this.current_token?.type === 'EXTENDS') {
+            this.eat('EXTENDS');
+            base = this.current_token?.value ?? null;
+            baseSpan = this.currentSpan();
+            this.eat('IDENTIFIER');
+        }
         this.eat('LBRACE');
         
         // Simplified body parsing
@@ -508,28 +1186,57 @@ export class Parser {
         const methods: ASTNode[] = [];
         let ctor: ASTNode | null = null;
         
-        while (this.current_token && this.current_token.type !== 'RBRACE') {
-            if (['CONST', 'LET'].includes(this.current_token.type)) {
-                members.push(this.parseClassFieldDeclaration());
-            } else if (this.current_token.type === 'DEF') {
-                const methodDef = this.parseFunctionDefinition(true); // is_method = true
-                if (methodDef.name === 'init') {
-                    ctor = methodDef;
+        const enclosingBase = this.class_base;
+        this.class_base = base;
+        try {
+            while (this.current_token && this.current_token.type !== 'RBRACE') {
+                const member = this.recover(() => this.parseClassMember());
+                if (!member) {
+                    continue;
+                }
+                if (member.type === "field_declaration") {
+                    members.push(member);
+                } else if (member.name === 'init') {
+                    ctor = member;
                 } else {
-                    methods.push(methodDef);
+                    methods.push(member);
                 }
-            } else {
-                throw new Error(`Syntax Error: Unexpected token in class body: ${this.current_token.type}`);
             }
+        } finally {
+            this.class_base = enclosingBase;
         }
         this.eat('RBRACE');
-        return { type: "class_definition", name: className, fields: members, methods: methods, ctor: ctor };
+        return { type: "class_definition", name: className, base, fields: members, methods: methods, ctor: ctor, name_span: nameSpan, base_span: baseSpan, span: this.spanFrom(start) };
+    }
+
+    // A field or method, optionally preceded by a `public` (the default) or `private` modifier.
+    private parseClassMember(): ASTNode {
+        const start = this.currentSpan();
+        let visibility = 'public';
+        if (this.current_token!.type === 'PUBLIC' || this.current_token!.type === 'PRIVATE') {
+            visibility = this.current_token!.value;
+            this.advance();
+        }
+
+        let member: ASTNode;
+        if (this.current_token && ['CONST', 'LET'].includes(this.current_token.type)) {
+            member = this.parseClassFieldDeclaration();
+        } else if (this.current_token?.type === 'DEF') {
+            member = this.parseFunctionDefinition(true); // is_method = true
+        } else {
+            throw new PayJarError(`Syntax Error: Unexpected token in class body: ${this.current_token?.type ?? 'EOF'}`, this.currentSpan());
+        }
+        member.visibility = visibility;
+        member.span = this.spanFrom(start);
+        return member;
     }
 
     private parseClassFieldDeclaration(): ASTNode {
+        const start = this.currentSpan();
         const declarationType = this.current_token!.type;
         this.advance(); // Consume CONST or LET
-        const fieldName = this.current_token!.value;
+        const fieldName = this.current_token?.value;
+        const nameSpan = this.currentSpan();
         this.eat('IDENTIFIER');
         let initialValue: ASTNode | null = null;
         if (this.current_token && this.current_token.type === 'EQUAL') {
@@ -537,72 +1244,296 @@ export class Parser {
             initialValue = this.parseExpression();
         }
         this.eat('SEMICOLON');
-        return { type: "field_declaration", kind: declarationType, name: fieldName, value: initialValue };
+        return { type: "field_declaration", kind: declarationType, name: fieldName, value: initialValue, name_span: nameSpan, span: this.spanFrom(start) };
     }
     
     private parseFunctionDefinition(isMethod: boolean = false): ASTNode {
+        const start = this.currentSpan();
         this.eat('DEF');
-        const functionName = this.current_token!.value;
+        const functionName = this.current_token?.value;
+        const nameSpan = this.currentSpan();
         this.eat('IDENTIFIER');
-        this.eat('LPAREN');
+        const { parameters, parameterSpans } = this.parseParameterList(isMethod);
+        const body = this.parseFunctionBody(isMethod);
+        return { type: "function_definition", name: functionName, parameters, body, is_method: isMethod, name_span: nameSpan, parameter_spans: parameterSpans, span: this.spanFrom(start) };
+    }
 
+    // `(a, b, c)`; methods may name `self` first.
+    private parseParameterList(isMethod: boolean): { parameters: string[], parameterSpans: SourceSpan[] } {
+        this.eat('LPAREN');
         const parameters: string[] = [];
+        const parameterSpans: SourceSpan[] = [];
         if (this.current_token && this.current_token.type !== 'RPAREN') {
+            parameterSpans.push(this.currentSpan());
             if (isMethod && this.current_token.type === 'SELF') {
                 parameters.push(this.current_token.value);
                 this.eat('SELF');
             } else if (!isMethod && this.current_token.type === 'SELF') {
-                throw new Error("Syntax Error: The 'self' parameter is only allowed in class method definitions.");
+                throw new PayJarError("Syntax Error: The 'self' parameter is only allowed in class method definitions.", this.currentSpan());
             } else {
                 parameters.push(this.current_token.value);
                 this.eat('IDENTIFIER');
             }
             while (this.current_token && this.current_token.type === 'COMMA') {
                 this.eat('COMMA');
-                parameters.push(this.current_token.value);
+                parameterSpans.push(this.currentSpan());
+                parameters.push(this.current_token?.value ?? '');
                 this.eat('IDENTIFIER');
             }
         }
         this.eat('RPAREN');
-        this.eat('LBRACE');
+        return { parameters, parameterSpans };
+    }
 
-        const body: ASTNode[] = [];
-        while (this.current_token && this.current_token.type !== 'RBRACE') {
-            if (this.current_token.type === 'RETURN') {
-                body.push(this.parseReturnStatement());
-            } 
-            // The body parsing logic should mirror parseMainBody() for local statements
-            else if (this.current_token.type === 'PRINT') {body.push(this.parsePrintStatement());}
-            else if (['CONST', 'LET', 'VAR'].includes(this.current_token.type)) {body.push(this.parseVariableDeclaration());}
-            else if (this.current_token.type === 'IDENTIFIER') {
-                const nextToken = this.tokens[this.token_index + 1];
-                if (nextToken?.type === 'EQUAL') {body.push(this.parseAssignmentStatement());}
-                else if (nextToken?.type === 'DOT') {
-                   // Member access/assignment logic (requires lookahead/re-implementation)
-                   const objName = this.current_token.value;
-                   this.eat('IDENTIFIER'); 
-                   const objExpr: ASTNode = { type: "variable_access", name: objName };
-                   const expr = this.parseMemberAccess(objExpr); 
-                   body.push(expr);
-                   if (expr.type === "member_access" && expr.is_call) {this.eat('SEMICOLON');}
-                }
-                 else if (nextToken?.type === 'LPAREN') {
-                   const expr = this.parseFunctionCallExpression();
-                   body.push(expr);
-                   this.eat('SEMICOLON');
-               } else {throw new Error(`Syntax Error: Unexpected token in function body: ${this.current_token.type}`);}
+    private parseFunctionBody(isMethod: boolean): ASTNode[] {
+        // A loop around the definition does not make `break` valid inside the body.
+        const enclosingLoopDepth = this.loop_depth;
+        const enclosingSuperAllowed = this.super_allowed;
+        this.loop_depth = 0;
+        this.super_allowed = isMethod && this.class_base !== null;
+        try {
+            return this.parseBlock(() => this.parseFunctionStatement());
+        } finally {
+            this.loop_depth = enclosingLoopDepth;
+            this.super_allowed = enclosingSuperAllowed;
+        }
+    }
+
+    // Anonymous function: `func (a, b) { ... }`
+    private parseFunctionExpression(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('DEF');
+        const { parameters, parameterSpans } = this.parseParameterList(false);
+        const body = this.parseFunctionBody(false);
+        return { type: "function_expression", parameters, body, parameter_spans: parameterSpans, span: this.spanFrom(start) };
+    }
+
+    // True when the parenthesis at the current token opens the parameter list of `(a, b) => ...`
+    private isArrowFunctionAhead(): boolean {
+        let index = this.token_index + 1;
+        if (this.tokens[index]?.type === 'IDENTIFIER') {
+            index++;
+            while (this.tokens[index]?.type === 'COMMA' && this.tokens[index + 1]?.type === 'IDENTIFIER') {
+                index += 2;
             }
-            else {throw new Error(`Syntax Error: Unexpected token in function body: ${this.current_token.type}`);}
         }
-        this.eat('RBRACE');
-        return { type: "function_definition", name: functionName, parameters, body, is_method: isMethod };
+        return this.tokens[index]?.type === 'RPAREN' && this.tokens[index + 1]?.type === 'ARROW';
+    }
+
+    // `x => expr`, `(a, b) => expr` or `(a, b) => { ... }`. An expression body is returned implicitly.
+    private parseArrowFunction(): ASTNode {
+        const start = this.currentSpan();
+        let parameters: string[];
+        let parameterSpans: SourceSpan[];
+        if (this.current_token?.type === 'IDENTIFIER') {
+            parameters = [this.current_token.value];
+            parameterSpans = [this.currentSpan()];
+            this.eat('IDENTIFIER');
+        } else {
+            ({ parameters, parameterSpans } = this.parseParameterList(false));
+        }
+        this.eat('ARROW');
+        let body: ASTNode[];
+        if (this.current_token?.type === 'LBRACE') {
+            body = this.parseFunctionBody(false);
+        } else {
+            const expression = this.parseExpression();
+            body = [{ type: "return_statement", expression, span: expression.span }];
+        }
+        return { type: "function_expression", parameters, body, parameter_spans: parameterSpans, span: this.spanFrom(start) };
+    }
+
+    // The body parsing logic should mirror parseMainStatement() for local statements
+    private parseFunctionStatement(): ASTNode {
+        if (this.current_token!.type === 'RETURN') {
+            return this.parseReturnStatement();
+        } else if (Parser.CONTROL_FLOW_TOKENS.includes(this.current_token!.type)) {
+            return this.parseControlFlowStatement(() => this.parseFunctionStatement());
+        } else if (this.current_token!.type === 'PRINT') {
+            return this.parsePrintStatement();
+        } else if (['CONST', 'LET', 'VAR'].includes(this.current_token!.type)) {
+            return this.parseVariableDeclaration();
+        } else if (this.current_token!.type === 'DEF') {
+            return this.parseFunctionDefinition();
+        } else if (Parser.EXPRESSION_STATEMENT_TOKENS.includes(this.current_token!.type)) {
+            return this.parseExpressionStatement();
+        }
+        throw new PayJarError(`Syntax Error: Unexpected token in function body: ${this.current_token!.type}`, this.currentSpan());
     }
     
+    // `return expr;`, or `return;` to return null.
     private parseReturnStatement(): ASTNode {
+        const start = this.currentSpan();
         this.eat('RETURN');
+        const expression = this.current_token?.type === 'SEMICOLON' ? null : this.parseExpression();
+        this.eat('SEMICOLON');
+        return { type: "return_statement", expression, span: this.spanFrom(start) };
+    }
+
+    // --- Control Flow ---
+
+    // `{ statement* }`. Statements are parsed with the enclosing context's statement parser,
+    // so a block inside a function may `return` while one in the main body may not.
+    private parseBlock(parseStatement: () => ASTNode): ASTNode[] {
+        this.eat('LBRACE');
+        const statements: ASTNode[] = [];
+        while (this.current_token && this.current_token.type !== 'RBRACE') {
+            const statement = this.recover(parseStatement);
+            if (statement) {
+                statements.push(statement);
+            }
+        }
+        this.eat('RBRACE');
+        return statements;
+    }
+
+    private parseControlFlowStatement(parseStatement: () => ASTNode): ASTNode {
+        switch (this.current_token!.type) {
+            case 'IF': return this.parseIfStatement(parseStatement);
+            case 'WHILE': return this.parseWhileStatement(parseStatement);
+            case 'FOR': return this.parseForStatement(parseStatement);
+            case 'TRY': return this.parseTryStatement(parseStatement);
+            case 'THROW': return this.parseThrowStatement();
+            default: return this.parseLoopJump();
+        }
+    }
+
+    // `if (cond) { } else if (cond) { } else { }`. An `else if` is stored as an else branch
+    // holding a single nested if_statement.
+    private parseIfStatement(parseStatement: () => ASTNode): ASTNode {
+        const start = this.currentSpan();
+        this.eat('IF');
+        this.eat('LPAREN');
+        const condition = this.parseExpression();
+        this.eat('RPAREN');
+        const thenBranch = this.parseBlock(parseStatement);
+        let elseBranch: ASTNode[] | null = null;
+        if (this.current_token?.type === 'ELSE') {
+            const isElseIf = this.tokens[this.token_index + 1]?.type === 'IF';
+            this.eat('ELSE');
+            if (isElseIf) {
+                elseBranch = [this.parseIfStatement(parseStatement)];
+            } else {
+                elseBranch = this.parseBlock(parseStatement);
+            }
+        }
+        return { type: "if_statement", condition, then_branch: thenBranch, else_branch: elseBranch, span: this.spanFrom(start) };
+    }
+
+    private parseWhileStatement(parseStatement: () => ASTNode): ASTNode {
+        const start = this.currentSpan();
+        this.eat('WHILE');
+        this.eat('LPAREN');
+        const condition = this.parseExpression();
+        this.eat('RPAREN');
+        const body = this.parseLoopBody(parseStatement);
+        return { type: "while_statement", condition, body, span: this.spanFrom(start) };
+    }
+
+    // `for (init; condition; update) { }`. Each of the three clauses may be left empty.
+    // `for (let item in collection) { }` iterates the elements of an array or the keys of a map.
+    private parseForStatement(parseStatement: () => ASTNode): ASTNode {
+        const start = this.currentSpan();
+        this.eat('FOR');
+        this.eat('LPAREN');
+
+        if (this.current_token && ['LET', 'CONST', 'VAR'].includes(this.current_token.type) && this.tokens[this.token_index + 2]?.type === 'IN') {
+            const kind = this.current_token.type;
+            this.advance();
+            const name = this.current_token?.value;
+            const nameSpan = this.currentSpan();
+            this.eat('IDENTIFIER');
+            this.eat('IN');
+            const iterable = this.parseExpression();
+            this.eat('RPAREN');
+            const body = this.parseLoopBody(parseStatement);
+            return { type: "for_in_statement", kind, name, iterable, body, name_span: nameSpan, span: this.spanFrom(start) };
+        }
+
+        let init: ASTNode | null = null;
+        if (this.current_token && ['LET', 'VAR'].includes(this.current_token.type)) {
+            init = this.parseVariableDeclaration();
+        } else if (this.current_token?.type !== 'SEMICOLON') {
+            init = this.parseExpressionStatement();
+        } else {
+            this.eat('SEMICOLON');
+        }
+
+        let condition: ASTNode | null = null;
+        if (this.current_token?.type !== 'SEMICOLON') {
+            condition = this.parseExpression();
+        }
+        this.eat('SEMICOLON');
+
+        let update: ASTNode | null = null;
+        if (this.current_token?.type !== 'RPAREN') {
+            update = this.parseExpressionStatement(false);
+        }
+        this.eat('RPAREN');
+
+        const body = this.parseLoopBody(parseStatement);
+        return { type: "for_statement", init, condition, update, body, span: this.spanFrom(start) };
+    }
+
+    private parseLoopBody(parseStatement: () => ASTNode): ASTNode[] {
+        this.loop_depth += 1;
+        try {
+            return this.parseBlock(parseStatement);
+        } finally {
+            this.loop_depth -= 1;
+        }
+    }
+
+    // `try { } catch (e) { } finally { }`, with a catch block, a finally block or both.
+    private parseTryStatement(parseStatement: () => ASTNode): ASTNode {
+        const start = this.currentSpan();
+        this.eat('TRY');
+        const body = this.parseBlock(parseStatement);
+        let catchName: string | null = null;
+        let catchNameSpan: SourceSpan | null = null;
+        let catchBody: ASTNode[] | null = null;
+        if (this.current_token?.type === 'CATCH') {
+            this.eat('CATCH');
+            this.eat('LPAREN');
+            catchName = this.current_token?.value ?? null;
+            catchNameSpan = this.currentSpan();
+            this.eat('IDENTIFIER');
+            this.eat('RPAREN');
+            catchBody = this.parseBlock(parseStatement);
+        }
+        let finallyBody: ASTNode[] | null = null;
+        if (this.current_token?.type === 'FINALLY') {
+            this.eat('FINALLY');
+            finallyBody = this.parseBlock(parseStatement);
+        }
+        if (!catchBody && !finallyBody) {
+            throw new PayJarError("Syntax Error: 'try' must be followed by a catch or finally block.", this.currentSpan());
+        }
+        return {
+            type: "try_statement", body, catch_name: catchName, catch_name_span: catchNameSpan,
+            catch_body: catchBody, finally_body: finallyBody, span: this.spanFrom(start)
+        };
+    }
+
+    private parseThrowStatement(): ASTNode {
+        const start = this.currentSpan();
+        this.eat('THROW');
         const expression = this.parseExpression();
         this.eat('SEMICOLON');
-        return { type: "return_statement", expression };
+        return { type: "throw_statement", expression, span: this.spanFrom(start) };
+    }
+
+    // `break;` and `continue;`
+    private parseLoopJump(): ASTNode {
+        const start = this.currentSpan();
+        const keyword = this.current_token!;
+        this.advance();
+        if (this.loop_depth === 0) {
+            throw new PayJarError(`Syntax Error: '${keyword.value}' is only allowed inside a loop.`, start);
+        }
+        this.eat('SEMICOLON');
+        const type = keyword.type === 'BREAK' ? "break_statement" : "continue_statement";
+        return { type, span: this.spanFrom(start) };
     }
 }
 
@@ -618,14 +1549,445 @@ export class FunctionReturn extends Error {
     }
 }
 
+export class BreakSignal extends Error {
+    constructor() {
+        super("BreakSignal: Internal exception for control flow.");
+        this.name = "BreakSignal";
+    }
+}
+
+export class ContinueSignal extends Error {
+    constructor() {
+        super("ContinueSignal: Internal exception for control flow.");
+        this.name = "ContinueSignal";
+    }
+}
+
+// Raised when a program exceeds one of its ExecutionLimits. It always ends the program:
+// try/catch cannot catch it.
+export class ExecutionCancelled extends PayJarError {
+    constructor(reason: string) {
+        super(`Runtime Error: Execution cancelled: ${reason}`);
+        this.name = "ExecutionCancelled";
+    }
+}
+
+// The error object PayJar code handles in `catch (e)`, with the fields e.kind, e.message and
+// e.stack. Made by error(), by `throw "text";`, and from errors raised by the interpreter.
+export class PayJarErrorValue {
+    constructor(public kind: string, public message: string, public stack: string[] = []) {}
+
+    public toString(): string {
+        return `${this.kind}: ${this.message}`;
+    }
+}
+
+// Carries a value thrown with `throw` to the nearest catch block. Uncaught, it ends the program
+// like any other runtime error.
+export class ThrowSignal extends PayJarError {
+    constructor(public value: any, span: SourceSpan | null) {
+        super(`Runtime Error: Uncaught ${formatValue(value)}`, span);
+        this.name = "ThrowSignal";
+    }
+}
+
+// Where a program's input comes from and where its output goes.
+export interface IOHost {
+    // Returns the next line of input without its line break, or null at the end of input.
+    readLine(prompt: string): string | null;
+    write(text: string): void;
+    writeLine(text: string): void;
+    writeError(text: string): void;
+}
+
+// Reads input from a fixed string, one line per readln(), and collects everything written.
+// Used by tests; the prompt is not echoed.
+export class StringIOHost implements IOHost {
+    // One entry per println; print() adds to the entry of the line it is on.
+    public output: string[] = [];
+    public errors: string[] = [];
+    private lineOpen = false;
+    private lines: string[];
+
+    constructor(input: string = "") {
+        this.lines = input === "" ? [] : input.split(/\r?\n/);
+    }
+
+    public readLine(_prompt: string): string | null {
+        return this.lines.shift() ?? null;
+    }
+
+    public write(text: string): void {
+        if (this.lineOpen) {
+            this.output[this.output.length - 1] += text;
+        } else if (text !== "") {
+            this.output.push(text);
+            this.lineOpen = true;
+        }
+    }
+
+    public writeLine(text: string): void {
+        if (this.lineOpen) {
+            this.output[this.output.length - 1] += text;
+        } else {
+            this.output.push(text);
+        }
+        this.lineOpen = false;
+    }
+
+    public writeError(text: string): void {
+        this.errors.push(text);
+    }
+}
+
+// Like StringIOHost, but prints to the console. Used when running from the command line.
+export class ConsoleIOHost extends StringIOHost {
+    public write(text: string): void {
+        process.stdout.write(text);
+    }
+
+    public writeLine(text: string): void {
+        console.log(text);
+    }
+
+    public writeError(text: string): void {
+        console.error(text);
+    }
+}
+
+// Bounds on a single run, so that a runaway program fails with an error instead of hanging.
+export interface ExecutionLimits {
+    maxSteps: number;       // AST nodes evaluated
+    timeoutMs: number;      // wall-clock time, not counting time spent waiting for input
+    maxCallDepth: number;   // nested function and method calls
+    maxOutputChars: number; // characters written by println and print
+}
+
+export const DEFAULT_LIMITS: ExecutionLimits = {
+    maxSteps: 50_000_000,
+    timeoutMs: 30_000,
+    // About half of what the default Node.js stack holds for simple recursive functions.
+    maxCallDepth: 500,
+    maxOutputChars: 1_000_000,
+};
+
+// A lexical scope: its own variable bindings plus the scope it is nested in.
+export class Environment {
+    // Without a prototype, so that names like `toString` are only found once declared.
+    public vars: { [key: string]: { value: any, kind: string } } = Object.create(null);
+    constructor(public parent: Environment | null = null) {}
+}
+
+// A function value. Closures keep the scope they were created in, so they can use its
+// variables after it has returned. Methods and functions created inside a method also
+// carry the instance and class they run for.
+export class PayJarFunction {
+    constructor(
+        public node: ASTNode, // function_definition or function_expression
+        public closure: Environment,
+        public instance: PayJarObject | null = null,
+        public owner: string | null = null
+    ) {}
+
+    public get name(): string {
+        return this.node.name ?? '<lambda>';
+    }
+
+    public toString(): string {
+        return `<Function ${this.name}>`;
+    }
+}
+
 export class PayJarObject {
-    // fields: { [key: string]: { value: any, kind: string } }
+    // fields: { [key: string]: { value: any, kind: string, visibility: string, owner: string } }
     // methods: { [key: string]: ASTNode }
     constructor(public class_name: string, public fields: any, public methods: any) {}
     public toString(): string {
-        const fieldStr = Object.entries(this.fields).map(([name, data]: [string, any]) => `${name}=${data.value}`).join(', ');
-        return `<Object ${this.class_name} (${fieldStr})>`;
+        return formatValue(this);
+    }
+}
+
+// Name of a value's PayJar type, as used in error messages.
+export function typeName(value: any): string {
+    if (value === null || value === undefined) { return "null"; }
+    if (Array.isArray(value)) { return "array"; }
+    if (value instanceof Map) { return "map"; }
+    if (value instanceof PayJarObject) { return value.class_name; }
+    if (value instanceof PayJarFunction || value instanceof NativeFunction) { return "function"; }
+    if (value instanceof PayJarErrorValue) { return "error"; }
+    return typeof value;
+}
+
+// Text shown for a value by println and template strings. Strings nested inside
+// collections or objects are quoted so that `["1"]` and `[1]` print differently.
+// `printing` holds the collections and objects being written, so that one containing
+// itself is cut short as `[...]`, `{...}` or `<Object Name ...>` instead of recursing forever.
+export function formatValue(value: any, nested: boolean = false, printing: Set<object> = new Set()): string {
+    if (value === null || value === undefined) {
+        return "null";
+    }
+    if (typeof value === 'string') {
+        return nested ? JSON.stringify(value) : value;
+    }
+    if (Array.isArray(value) || value instanceof Map || value instanceof PayJarObject) {
+        if (printing.has(value)) {
+            return Array.isArray(value) ? '[...]' : value instanceof Map ? '{...}' : `<Object ${value.class_name} ...>`;
+        }
+        printing.add(value);
+        try {
+            return formatContents(value, printing);
+        } finally {
+            printing.delete(value);
+        }
+    }
+    return String(value);
+}
+
+function formatContents(value: any[] | Map<any, any> | PayJarObject, printing: Set<object>): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(element => formatValue(element, true, printing)).join(', ')}]`;
+    }
+    if (value instanceof Map) {
+        const entries = [...value.entries()].map(([key, entry]) => `${formatValue(key, true, printing)}: ${formatValue(entry, true, printing)}`);
+        return `{${entries.join(', ')}}`;
+    }
+    const fields = Object.entries(value.fields).map(([name, data]: [string, any]) => `${name}=${formatValue(data.value, true, printing)}`);
+    return `<Object ${value.class_name} (${fields.join(', ')})>`;
+}
+
+// --- Built-in Functions ---
+
+// What native functions may use of the running interpreter.
+export interface NativeContext {
+    write(text: string): void;
+    random(): number;
+    seed(value: number): void;
+    // Counts one step towards the step limit and timeout, for natives that loop.
+    step(): void;
+}
+
+// A function implemented in TypeScript. `signature` and `description` are shown by the editor.
+export class NativeFunction {
+    constructor(
+        public name: string,
+        public signature: string,
+        public description: string,
+        public minArgs: number,
+        public maxArgs: number,
+        public call: (context: NativeContext, args: any[]) => any
+    ) {}
+
+    public toString(): string {
+        return `<Native function ${this.name}>`;
+    }
+}
+
+function nativeTypeError(functionName: string, expected: string, value: any): PayJarTypeError {
+    return new PayJarTypeError(`Runtime Error: ${functionName}() expects ${expected}, got ${typeName(value)}.`);
+}
+
+function expectNumber(functionName: string, value: any): number {
+    if (typeof value !== 'number') {
+        throw nativeTypeError(functionName, "a number", value);
     }
+    return value;
+}
+
+function expectInteger(functionName: string, value: any): number {
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+        throw nativeTypeError(functionName, "an integer", value);
+    }
+    return value;
+}
+
+// Decimal numbers as int() and float() read them from strings: an optional sign, digits with an
+// optional fraction, and an optional exponent. Unlike Number(), no hex, binary or "Infinity".
+const DECIMAL_NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Converts for int() and float(): numbers pass through, booleans become 0 or 1 and strings
+// are parsed as decimal numbers.
+function toNumber(functionName: string, value: any): number {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (!DECIMAL_NUMBER.test(text)) {
+            throw new PayJarError(`Runtime Error: ${functionName}() cannot convert ${JSON.stringify(value)} to a number.`);
+        }
+        return Number(text);
+    }
+    throw nativeTypeError(functionName, "a number, string or boolean", value);
+}
+
+// min() and max() take either several numbers or a single array of them.
+function numberList(functionName: string, args: any[]): number[] {
+    const values = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    if (values.length === 0) {
+        throw new PayJarIndexError(`Runtime Error: ${functionName}() of an empty array.`);
+    }
+    return values.map((value: any) => expectNumber(functionName, value));
+}
+
+export const BUILTIN_FUNCTIONS: NativeFunction[] = [
+    new NativeFunction('len', 'len(value)', 'Length of a string or array, or number of entries in a map.', 1, 1, (_, [value]) => {
+        if (typeof value === 'string' || Array.isArray(value)) {
+            return value.length;
+        }
+        if (value instanceof Map) {
+            return value.size;
+        }
+        throw nativeTypeError('len', "a string, array or map", value);
+    }),
+    new NativeFunction('str', 'str(value)', 'The text println would show for a value.', 1, 1, (_, [value]) => formatValue(value)),
+    new NativeFunction('int', 'int(value)', 'Converts a number, numeric string or boolean to an integer, truncating towards zero.', 1, 1,
+        (_, [value]) => Math.trunc(toNumber('int', value))),
+    new NativeFunction('float', 'float(value)', 'Converts a numeric string or boolean to a number.', 1, 1, (_, [value]) => toNumber('float', value)),
+    new NativeFunction('type', 'type(value)', 'Name of a value\'s type: "number", "string", "array", a class name, ...', 1, 1, (_, [value]) => typeName(value)),
+    new NativeFunction('abs', 'abs(x)', 'Absolute value of a number.', 1, 1, (_, [x]) => Math.abs(expectNumber('abs', x))),
+    new NativeFunction('min', 'min(a, b, ...) or min(array)', 'Smallest of several numbers or of an array of numbers.', 1, Infinity,
+        (_, args) => Math.min(...numberList('min', args))),
+    new NativeFunction('max', 'max(a, b, ...) or max(array)', 'Largest of several numbers or of an array of numbers.', 1, Infinity,
+        (_, args) => Math.max(...numberList('max', args))),
+    new NativeFunction('round', 'round(x, digits?)', 'Rounds to the nearest integer, or to `digits` decimal places.', 1, 2, (_, [x, digits = 0]) => {
+        const factor = 10 ** expectInteger('round', digits);
+        return Math.round(expectNumber('round', x) * factor) / factor;
+    }),
+    new NativeFunction('random', 'random() or random(low, high)', 'A number in [0, 1), or an integer from low to high inclusive. See seed().', 0, 2, (context, args) => {
+        if (args.length === 0) {
+            return context.random();
+        }
+        if (args.length === 1) {
+            throw new PayJarTypeError("Runtime Error: random() expects no arguments or both low and high.");
+        }
+        const low = expectInteger('random', args[0]);
+        const high = expectInteger('random', args[1]);
+        if (low > high) {
+            throw new PayJarError(`Runtime Error: random() low bound ${low} is greater than high bound ${high}.`);
+        }
+        return low + Math.floor(context.random() * (high - low + 1));
+    }),
+    new NativeFunction('seed', 'seed(n)', 'Seeds random() so that it repeats the same sequence on every run.', 1, 1, (context, [n]) => {
+        context.seed(expectInteger('seed', n));
+        return null;
+    }),
+    new NativeFunction('range', 'range(end) or range(start, end, step?)', 'Array of integers from start (default 0) up to, but not including, end.', 1, 3, (context, args) => {
+        const [start, end, step = 1] = args.length === 1 ? [0, args[0]] : args;
+        for (const bound of [start, end, step]) {
+            expectInteger('range', bound);
+        }
+        if (step === 0) {
+            throw new PayJarError("Runtime Error: range() step cannot be zero.");
+        }
+        const result: number[] = [];
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            context.step();
+            result.push(i);
+        }
+        return result;
+    }),
+    new NativeFunction('error', 'error(message, kind?)', 'An error object for `throw`, of the given kind (default "Error").', 1, 2,
+        (_, [message, kind = 'Error']) => {
+            if (typeof message !== 'string') {
+                throw nativeTypeError('error', "a string message", message);
+            }
+            if (typeof kind !== 'string') {
+                throw nativeTypeError('error', "a string kind", kind);
+            }
+            return new PayJarErrorValue(kind, message);
+        }),
+    new NativeFunction('print', 'print(value)', 'Writes a value like println, without starting a new line.', 1, 1, (context, [value]) => {
+        context.write(formatValue(value));
+        return null;
+    }),
+];
+
+// --- Members of Strings and Numbers ---
+
+// A built-in method of a primitive value; `call` gets the value and the evaluated arguments.
+interface PrimitiveMethod {
+    minArgs: number;
+    maxArgs: number;
+    call: (value: any, args: any[]) => any;
+}
+
+interface PrimitiveMembers {
+    fields: { [key: string]: (value: any) => any };
+    methods: { [key: string]: PrimitiveMethod };
+}
+
+function expectStringArgument(methodName: string, value: any): string {
+    if (typeof value !== 'string') {
+        throw new PayJarTypeError(`Runtime Error: String method '${methodName}' expects a string argument, got ${typeName(value)}.`);
+    }
+    return value;
+}
+
+function expectIntegerArgument(typeLabel: string, methodName: string, value: any, min: number, max: number): number {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+        throw new PayJarTypeError(`Runtime Error: ${typeLabel} method '${methodName}' expects an integer from ${min} to ${max}, got ${formatValue(value, true)}.`);
+    }
+    return value;
+}
+
+const STRING_MEMBERS: PrimitiveMembers = {
+    fields: {
+        length: (text: string) => text.length,
+    },
+    methods: {
+        upper: { minArgs: 0, maxArgs: 0, call: (text: string) => text.toUpperCase() },
+        lower: { minArgs: 0, maxArgs: 0, call: (text: string) => text.toLowerCase() },
+        trim: { minArgs: 0, maxArgs: 0, call: (text: string) => text.trim() },
+        // Without a separator, splits on runs of whitespace.
+        split: { minArgs: 0, maxArgs: 1, call: (text: string, [separator]) => separator === undefined
+            ? text.trim().split(/\s+/).filter(part => part !== '')
+            : text.split(expectStringArgument('split', separator)) },
+        contains: { minArgs: 1, maxArgs: 1, call: (text: string, [part]) => text.includes(expectStringArgument('contains', part)) },
+        // Replaces every occurrence.
+        replace: { minArgs: 2, maxArgs: 2, call: (text: string, [search, replacement]) =>
+            text.split(expectStringArgument('replace', search)).join(expectStringArgument('replace', replacement)) },
+        substring: { minArgs: 1, maxArgs: 2, call: (text: string, [start, end = text.length]) => {
+            const from = expectIntegerArgument('String', 'substring', start, 0, text.length);
+            return text.substring(from, expectIntegerArgument('String', 'substring', end, from, text.length));
+        } },
+        startsWith: { minArgs: 1, maxArgs: 1, call: (text: string, [prefix]) => text.startsWith(expectStringArgument('startsWith', prefix)) },
+    },
+};
+
+const ERROR_MEMBERS: PrimitiveMembers = {
+    fields: {
+        kind: (error: PayJarErrorValue) => error.kind,
+        message: (error: PayJarErrorValue) => error.message,
+        stack: (error: PayJarErrorValue) => [...error.stack],
+    },
+    methods: {},
+};
+
+const NUMBER_MEMBERS: PrimitiveMembers = {
+    fields: {},
+    methods: {
+        // With a radix (2 to 36), writes an integer in that base.
+        toString: { minArgs: 0, maxArgs: 1, call: (n: number, [radix]: any[]) => {
+            if (radix === undefined) {
+                return formatValue(n);
+            }
+            expectIntegerArgument('Number', 'toString', radix, 2, 36);
+            if (!Number.isInteger(n)) {
+                throw new PayJarError("Runtime Error: Number method 'toString' can only write integers in another base.");
+            }
+            return n.toString(radix);
+        } },
+        toFixed: { minArgs: 1, maxArgs: 1, call: (n: number, [digits]) => n.toFixed(expectIntegerArgument('Number', 'toFixed', digits, 0, 100)) },
+        abs: { minArgs: 0, maxArgs: 0, call: (n: number) => Math.abs(n) },
+    },
+};
+
+// "length, upper(), lower()" — for errors about unknown members.
+function describeMembers(fields: string[], methods: string[]): string {
+    return [...fields, ...methods.map(name => `${name}()`)].join(', ');
 }
 
 // ====================================================================
@@ -633,58 +1995,96 @@ export class PayJarObject {
 // ====================================================================
 
 export class Interpreter {
-    // scopes: { [key: string]: { value: any, kind: string } }[]
-    private scopes: any[] = [{}];
-    private functions: { [key: string]: ASTNode } = {};
-    private user_defined_classes: { [key: string]: ASTNode } = {};
+    private globals = new Environment();
+    private environment: Environment = this.globals;
+    // Name tables have no prototype, like Environment.vars.
+    private functions: { [key: string]: PayJarFunction } = Object.create(null);
+    // Built-in functions, used when no user function or variable has the same name.
+    private natives: { [key: string]: NativeFunction } = Object.create(null);
+    private user_defined_classes: { [key: string]: ASTNode } = Object.create(null);
+    // Defining class of each method on the call stack (null for plain functions).
+    private method_owners: (string | null)[] = [];
+    // Name and call site of each call in progress, for the stack of error objects.
+    private call_stack: { name: string, call_site: SourceSpan | null }[] = [];
+
+    private limits: ExecutionLimits;
+    private steps = 0;
+    private deadline = 0;
+    private output_chars = 0;
+    private random_state = Math.floor(Math.random() * 2 ** 32);
+    private native_context: NativeContext = {
+        write: text => this.writeOutput(text, false),
+        random: () => this.nextRandom(),
+        seed: value => { this.random_state = value; },
+        step: () => this.countStep(),
+    };
+
+    constructor(private host: IOHost = new ConsoleIOHost(), limits: Partial<ExecutionLimits> = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        for (const native of BUILTIN_FUNCTIONS) {
+            this.defineNative(native);
+        }
+    }
 
-    private get current_scope(): any {
-        return this.scopes[this.scopes.length - 1];
+    public defineNative(native: NativeFunction): void {
+        this.natives[native.name] = native;
     }
 
-    private push_scope(scope_dict: any = {}): void {
-        this.scopes.push(scope_dict);
+    private get current_scope(): { [key: string]: { value: any, kind: string } } {
+        return this.environment.vars;
+    }
+
+    private push_scope(): void {
+        this.environment = new Environment(this.environment);
     }
 
     private pop_scope(): void {
-        if (this.scopes.length > 1) {
-            this.scopes.pop();
+        if (this.environment.parent) {
+            this.environment = this.environment.parent;
         } else {
-            throw new Error("Runtime Error: Cannot pop global scope.");
+            throw new PayJarError("Runtime Error: Cannot pop global scope.");
         }
     }
 
     // --- Variable Access and Assignment ---
 
-    private getVariable(name: string): { value: any, kind: string } {
-        for (let i = this.scopes.length - 1; i >= 0; i--) {
-            if (name in this.scopes[i]) {
-                return this.scopes[i][name];
+    // Finds a binding by walking outwards from the current scope, or returns null.
+    private findVariable(name: string): { value: any, kind: string } | null {
+        for (let env: Environment | null = this.environment; env; env = env.parent) {
+            if (name in env.vars) {
+                return env.vars[name];
             }
         }
-        throw new Error(`Runtime Error: Undefined variable '${name}'`);
+        return null;
+    }
+
+    private getVariable(name: string): { value: any, kind: string } {
+        const binding = this.findVariable(name);
+        if (!binding) {
+            throw new PayJarNameError(`Runtime Error: Undefined variable '${name}'`);
+        }
+        return binding;
     }
 
     private setVariable(name: string, value: any, kind: string | null = null, declareIfNotExist: boolean = false): any {
         if (kind) { // Declaration
             if (name in this.current_scope) {
-                throw new Error(`Runtime Error: Redeclaration of variable '${name}' is not allowed in this scope.`);
+                throw new PayJarError(`Runtime Error: Redeclaration of variable '${name}' is not allowed in this scope.`);
             }
             this.current_scope[name] = { value: value, kind: kind };
         } else { // Assignment
-            for (let i = this.scopes.length - 1; i >= 0; i--) {
-                if (name in this.scopes[i]) {
-                    if (this.scopes[i][name].kind === 'CONST') {
-                        throw new Error(`Runtime Error: Cannot assign to a constant variable '${name}'.`);
-                    }
-                    this.scopes[i][name].value = value;
-                    return value;
+            const binding = this.findVariable(name);
+            if (binding) {
+                if (binding.kind === 'CONST') {
+                    throw new PayJarTypeError(`Runtime Error: Cannot assign to a constant variable '${name}'.`);
                 }
+                binding.value = value;
+                return value;
             }
             if (declareIfNotExist) {
                 this.current_scope[name] = { value: value, kind: "LET" };
             } else {
-                throw new Error(`Runtime Error: Assignment to undefined variable '${name}'.`);
+                throw new PayJarNameError(`Runtime Error: Assignment to undefined variable '${name}'.`);
             }
         }
         return value;
@@ -694,17 +2094,33 @@ export class Interpreter {
 
     public interpret(ast: MainDefinitionNode): void {
         if (ast.type !== "main_definition") {
-            throw new Error(`Runtime Error: Unsupported AST type for interpretation: ${ast.type}`);
+            throw new PayJarError(`Runtime Error: Unsupported AST type for interpretation: ${ast.type}`, ast.span ?? null);
         }
+        this.deadline = Date.now() + this.limits.timeoutMs;
+        try {
+            this.run(ast);
+        } catch (e) {
+            // Deep recursion can exhaust the JavaScript stack before maxCallDepth is reached.
+            if (e instanceof RangeError && /call stack/i.test(e.message)) {
+                throw new PayJarError("Runtime Error: Maximum recursion depth exceeded.");
+            }
+            throw e;
+        }
+    }
 
+    private run(ast: MainDefinitionNode): void {
         // First pass: Hoisting (functions and classes)
         for (const statement of ast.body) {
             if (statement.type === "function_definition") {
-                this.visitFunctionDefinition(statement);
+                this.defineGlobalFunction(statement);
             } else if (statement.type === "class_definition") {
                 this.visitClassDefinition(statement);
             }
         }
+        // Report unknown base classes and inheritance cycles before anything runs.
+        for (const className in this.user_defined_classes) {
+            this.classChain(className);
+        }
 
         // Second pass: Execute main body statements
         for (const statement of ast.body) {
@@ -713,7 +2129,7 @@ export class Interpreter {
                     this.visit(statement);
                 } catch (e) {
                     if (e instanceof FunctionReturn) {
-                        console.warn(`Warning: Return statement encountered in main body. Value: ${e.value}`);
+                        this.host.writeError(`Warning: Return statement encountered in main body. Value: ${formatValue(e.value)}`);
                     } else {
                         throw e;
                     }
@@ -722,252 +2138,927 @@ export class Interpreter {
         }
     }
 
+    // --- Execution Limits ---
+
+    private countStep(): void {
+        this.steps++;
+        if (this.steps > this.limits.maxSteps) {
+            throw new ExecutionCancelled(`the program ran for more than ${this.limits.maxSteps} steps.`);
+        }
+        // Reading the clock on every step would dominate the run time.
+        if (this.steps % 1024 === 0 && Date.now() > this.deadline) {
+            throw new ExecutionCancelled(`the program ran for more than ${this.limits.timeoutMs / 1000} seconds.`);
+        }
+    }
+
+    private writeOutput(text: string, newline: boolean = true): void {
+        this.output_chars += text.length + (newline ? 1 : 0);
+        if (this.output_chars > this.limits.maxOutputChars) {
+            throw new ExecutionCancelled(`the program printed more than ${this.limits.maxOutputChars} characters.`);
+        }
+        if (newline) {
+            this.host.writeLine(text);
+        } else {
+            this.host.write(text);
+        }
+    }
+
+    // mulberry32: small and fast, with a 32-bit state that seed() sets.
+    private nextRandom(): number {
+        this.random_state = (this.random_state + 0x6D2B79F5) | 0;
+        let t = this.random_state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
     // --- Visit Dispatcher ---
 
     private visit(node: ASTNode, current_instance: PayJarObject | null = null): any {
+        this.countStep();
+        try {
+            return this.dispatch(node, current_instance);
+        } catch (e) {
+            // The innermost node that fails claims the error, so its span is the most precise one.
+            if (e instanceof PayJarError && !e.span && node.span) {
+                e.span = node.span;
+            }
+            // The call stack is recorded before unwinding, in case a catch block asks for it.
+            if (e instanceof PayJarError && !e.trace) {
+                e.trace = this.captureTrace(e.span);
+            }
+            throw e;
+        }
+    }
+
+    private dispatch(node: ASTNode, current_instance: PayJarObject | null): any {
         switch (node.type) {
-            case "print_statement": return this.visitPrintStatement(node);
-            case "variable_declaration": return this.visitVariableDeclaration(node);
-            case "assignment_statement": return this.visitAssignmentStatement(node);
+            case "print_statement": return this.visitPrintStatement(node, current_instance);
+            case "variable_declaration": return this.visitVariableDeclaration(node, current_instance);
+            case "assignment_statement": return this.visitAssignmentStatement(node, current_instance);
             case "literal": return (node as LiteralNode).value;
             case "variable_access": return this.visitVariableAccess(node);
-            case "template_string": return this.visitTemplateString(node);
-            case "function_definition": return this.visitFunctionDefinition(node);
+            case "template_string": return this.visitTemplateString(node, current_instance);
+            case "readln": return this.visitReadln(node, current_instance);
+            case "function_definition": return this.visitFunctionDefinition(node, current_instance);
+            case "function_expression": return this.createFunction(node, current_instance);
             case "function_call": return this.visitFunctionCall(node, current_instance);
-            case "return_statement": return this.visitReturnStatement(node);
+            case "call_expression": return this.visitCallExpression(node, current_instance);
+            case "super_call": return this.visitSuperCall(node);
+            case "return_statement": return this.visitReturnStatement(node, current_instance);
             case "class_definition": return this.visitClassDefinition(node);
-            case "object_creation": return this.visitObjectCreation(node);
+            case "object_creation": return this.visitObjectCreation(node, current_instance);
             case "member_access": return this.visitMemberAccess(node, current_instance);
             case "member_assignment": return this.visitMemberAssignment(node, current_instance);
-            case "binary_op": return this.visitBinaryOp(node);
-            case "unary_op": return this.visitUnaryOp(node);
+            case "binary_op": return this.visitBinaryOp(node, current_instance);
+            case "logical_op": return this.visitLogicalOp(node, current_instance);
+            case "array_literal": return node.elements.map((element: ASTNode) => this.visit(element, current_instance));
+            case "map_literal": return this.visitMapLiteral(node, current_instance);
+            case "for_in_statement": return this.visitForInStatement(node, current_instance);
+            case "index_access": return this.visitIndexAccess(node, current_instance);
+            case "index_assignment": return this.visitIndexAssignment(node, current_instance);
+            case "compound_assignment": return this.visitCompoundAssignment(node, current_instance);
+            case "update_expression": return this.visitUpdateExpression(node, current_instance);
+            case "unary_op": return this.visitUnaryOp(node, current_instance);
             case "field_declaration": return; // Handled during object creation
-            default: throw new Error(`Runtime Error: Unknown AST node type: ${node.type}`);
+            case "if_statement": return this.visitIfStatement(node, current_instance);
+            case "while_statement": return this.visitWhileStatement(node, current_instance);
+            case "for_statement": return this.visitForStatement(node, current_instance);
+            case "break_statement": throw new BreakSignal();
+            case "continue_statement": throw new ContinueSignal();
+            case "try_statement": return this.visitTryStatement(node, current_instance);
+            case "throw_statement": return this.visitThrowStatement(node, current_instance);
+            default: throw new PayJarError(`Runtime Error: Unknown AST node type: ${node.type}`);
         }
     }
 
     // --- Visit Implementations ---
 
-    private visitPrintStatement(node: ASTNode): void {
-        const valueToPrint = this.visit(node.expression);
-        console.log(valueToPrint);
+    private visitPrintStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        const valueToPrint = this.visit(node.expression, current_instance);
+        this.writeOutput(formatValue(valueToPrint));
+    }
+
+    // Returns the next line of input, or null once the input is exhausted.
+    private visitReadln(node: ASTNode, current_instance: PayJarObject | null): string | null {
+        const prompt = node.prompt ? formatValue(this.visit(node.prompt, current_instance)) : "";
+        // Waiting for the user does not count against the time limit.
+        const waitStart = Date.now();
+        const line = this.host.readLine(prompt);
+        this.deadline += Date.now() - waitStart;
+        return line;
     }
     
-    private visitVariableDeclaration(node: ASTNode): void {
+    private visitVariableDeclaration(node: ASTNode, current_instance: PayJarObject | null): void {
         const varName = node.name;
         const varKind = node.kind;
-        const varValue = this.visit(node.value);
+        const varValue = this.visit(node.value, current_instance);
         this.setVariable(varName, varValue, varKind);
     }
 
-    private visitAssignmentStatement(node: ASTNode): void {
+    private visitAssignmentStatement(node: ASTNode, current_instance: PayJarObject | null): void {
         const varName = node.name;
-        const newValue = this.visit(node.value);
+        const newValue = this.visit(node.value, current_instance);
         this.setVariable(varName, newValue);
     }
 
     private visitVariableAccess(node: ASTNode): any {
+        const binding = this.findVariable(node.name);
+        if (binding) {
+            return binding.value;
+        }
+        // Top-level and built-in functions are values too, so they can be passed around by name.
+        if (node.name in this.functions) {
+            return this.functions[node.name];
+        }
+        if (node.name in this.natives) {
+            return this.natives[node.name];
+        }
         return this.getVariable(node.name).value;
     }
 
-    private visitTemplateString(node: ASTNode): string {
+    private visitTemplateString(node: ASTNode, current_instance: PayJarObject | null): string {
         let resultString = "";
         for (const part of node.parts) {
-            if (part.type === "literal") {
-                resultString += part.value;
-            } else if (part.type === "variable_access") {
-                const variableValue = this.getVariable(part.name).value;
-                resultString += String(variableValue);
-            } else {
-                throw new Error(`Runtime Error: Unexpected part in template string: ${part.type}`);
-            }
+            resultString += formatValue(this.visit(part, current_instance));
         }
         return resultString;
     }
 
-    private visitFunctionDefinition(node: ASTNode): void {
+    // Top-level functions are hoisted, so they can be called before their definition.
+    private defineGlobalFunction(node: ASTNode): void {
         const funcName = node.name;
-        if (!node.is_method && funcName in this.functions) {
-            throw new Error(`Runtime Error: Function '${funcName}' already defined globally.`);
+        if (funcName in this.functions) {
+            throw new PayJarError(`Runtime Error: Function '${funcName}' already defined globally.`);
         }
-        this.functions[funcName] = node;
+        this.functions[funcName] = new PayJarFunction(node, this.globals);
     }
-    
+
+    // A function defined inside a block or another function is a constant in the enclosing scope.
+    private visitFunctionDefinition(node: ASTNode, current_instance: PayJarObject | null): void {
+        this.setVariable(node.name, this.createFunction(node, current_instance), 'CONST');
+    }
+
+    // Closes over the current scope, and over the running method's instance and class.
+    private createFunction(node: ASTNode, current_instance: PayJarObject | null): PayJarFunction {
+        return new PayJarFunction(node, this.environment, current_instance, this.method_owners[this.method_owners.length - 1] ?? null);
+    }
+
+    // A method called on `instance`. Method bodies only see globals besides their parameters and `self`.
+    private bindMethod(method: ASTNode, instance: PayJarObject): PayJarFunction {
+        return new PayJarFunction(method, this.globals, instance, method.owner_class ?? null);
+    }
+
+    // A bare call `name(...)` prefers, in order: a variable holding a function, a method of the
+    // current instance, a top-level function, then a built-in.
     private visitFunctionCall(node: ASTNode, currentInstance: PayJarObject | null): any {
         const funcName = node.name;
-        let funcDefinition: ASTNode | null = null;
+        let func: PayJarFunction | NativeFunction;
 
-        if (currentInstance && funcName in currentInstance.methods) {
-            funcDefinition = currentInstance.methods[funcName];
+        const binding = this.findVariable(funcName);
+        if (binding) {
+            if (!this.isCallable(binding.value)) {
+                throw new PayJarTypeError(`Runtime Error: '${funcName}' is not a function, it is a ${typeName(binding.value)}.`);
+            }
+            func = binding.value;
+        } else if (currentInstance && funcName in currentInstance.methods) {
+            const method = currentInstance.methods[funcName];
+            this.checkAccess('method', funcName, method.visibility, method.owner_class);
+            func = this.bindMethod(method, currentInstance);
         } else if (funcName in this.functions) {
-            funcDefinition = this.functions[funcName];
+            func = this.functions[funcName];
+        } else if (funcName in this.natives) {
+            func = this.natives[funcName];
         } else {
-            throw new Error(`Runtime Error: Call to undefined function or method '${funcName}'`);
+            throw new PayJarNameError(`Runtime Error: Call to undefined function or method '${funcName}'`);
+        }
+
+        // Arguments are evaluated in the caller's scope, before the callee's scope is entered.
+        const evaluatedArgs = (node.arguments as ASTNode[]).map(argNode => this.visit(argNode, currentInstance));
+        return this.callFunction(func, evaluatedArgs, node.span);
+    }
+
+    // Calls whatever the callee expression evaluates to, e.g. `makeAdder(1)(2)` or `handlers[0](x)`.
+    private visitCallExpression(node: ASTNode, current_instance: PayJarObject | null): any {
+        const callee = this.visit(node.callee, current_instance);
+        if (!this.isCallable(callee)) {
+            throw new PayJarTypeError(`Runtime Error: Cannot call a value of type '${typeName(callee)}'.`);
+        }
+        const evaluatedArgs = (node.arguments as ASTNode[]).map(argNode => this.visit(argNode, current_instance));
+        return this.callFunction(callee, evaluatedArgs, node.span);
+    }
+
+    private isCallable(value: any): value is PayJarFunction | NativeFunction {
+        return value instanceof PayJarFunction || value instanceof NativeFunction;
+    }
+
+    private callNative(native: NativeFunction, evaluatedArgs: any[]): any {
+        if (evaluatedArgs.length < native.minArgs || evaluatedArgs.length > native.maxArgs) {
+            const expected = native.minArgs === native.maxArgs ? `${native.minArgs}`
+                : native.maxArgs === Infinity ? `at least ${native.minArgs}` : `${native.minArgs} to ${native.maxArgs}`;
+            throw new PayJarTypeError(`Runtime Error: Function '${native.name}' expected ${expected} arguments but got ${evaluatedArgs.length}`);
         }
+        return native.call(this.native_context, evaluatedArgs);
+    }
 
-        const expectedParams = funcDefinition!.parameters as string[];
-        const providedArgsNodes = node.arguments as ASTNode[];
+    // Runs a function or method body with `evaluatedArgs` bound to its parameters and returns its result.
+    private callFunction(func: PayJarFunction | NativeFunction, evaluatedArgs: any[], callSite: SourceSpan | null = null): any {
+        if (func instanceof NativeFunction) {
+            return this.callNative(func, evaluatedArgs);
+        }
+        const funcDefinition = func.node;
+        const funcName = func.name;
+        const expectedParams = funcDefinition.parameters as string[];
 
-        const isMethod = funcDefinition!.is_method;
+        const isMethod = funcDefinition.is_method;
         const paramOffset = (isMethod && expectedParams[0] === 'self') ? 1 : 0;
         const expectedArgsCount = expectedParams.length - paramOffset;
 
-        if (expectedArgsCount !== providedArgsNodes.length) {
-            throw new Error(`Runtime Error: Function/Method '${funcName}' expected ${expectedArgsCount} arguments but got ${providedArgsNodes.length}`);
+        if (expectedArgsCount !== evaluatedArgs.length) {
+            throw new PayJarTypeError(`Runtime Error: Function/Method '${funcName}' expected ${expectedArgsCount} arguments but got ${evaluatedArgs.length}`);
+        }
+        // method_owners has one entry per call in progress.
+        if (this.method_owners.length >= this.limits.maxCallDepth) {
+            throw new PayJarError(`Runtime Error: Maximum recursion depth exceeded (more than ${this.limits.maxCallDepth} nested calls).`);
         }
 
-        this.push_scope();
+        // The body runs in a fresh scope inside the one the function was defined in, not the caller's.
+        const callerEnvironment = this.environment;
+        this.environment = new Environment(func.closure);
 
         // 1. Bind 'self' for methods
-        if (isMethod && currentInstance) {
-            this.setVariable('self', currentInstance, 'LET');
+        if (isMethod && func.instance) {
+            this.setVariable('self', func.instance, 'LET');
         }
 
-        // 2. Evaluate arguments
-        const evaluatedArgs = providedArgsNodes.map(argNode => this.visit(argNode, currentInstance));
-
-        // 3. Bind arguments to parameters
+        // 2. Bind arguments to parameters
         for (let i = 0; i < expectedArgsCount; i++) {
             this.setVariable(expectedParams[i + paramOffset], evaluatedArgs[i], 'LET');
         }
 
+        // Methods record their defining class so that `super` and private members resolve from it.
+        this.method_owners.push(func.owner);
+        this.call_stack.push({ name: func.owner ? `${func.owner}.${funcName}` : funcName, call_site: callSite });
+
         let returnValue: any = null;
         try {
-            for (const statement of funcDefinition!.body) {
-                this.visit(statement, currentInstance);
+            for (const statement of funcDefinition.body) {
+                this.visit(statement, func.instance);
             }
         } catch (e) {
             if (e instanceof FunctionReturn) {
                 returnValue = e.value;
+            } else if (e instanceof RangeError && e.message.includes('call stack')) {
+                // The JavaScript stack ran out before maxCallDepth was reached. Reported from the
+                // call that overflowed, this can be caught like the depth limit. No regular expression
+                // here: compiling one this deep in the stack can overflow too.
+                throw new PayJarError("Runtime Error: Maximum recursion depth exceeded.", callSite);
             } else {
                 throw e;
             }
         } finally {
-            this.pop_scope();
+            this.method_owners.pop();
+            this.call_stack.pop();
+            this.environment = callerEnvironment;
         }
         return returnValue;
     }
+
+    // `super.method(...)` and `super.init(...)`: calls the method as defined by the base class of
+    // the class whose method is currently running, on the current `self`.
+    private visitSuperCall(node: ASTNode): any {
+        const owner = this.method_owners[this.method_owners.length - 1];
+        const baseName = owner ? this.user_defined_classes[owner]?.base : null;
+        if (!baseName) {
+            throw new PayJarError("Runtime Error: 'super' can only be used inside a method of a class that extends another class.");
+        }
+        const method = this.findMethod(baseName, node.method);
+        if (!method) {
+            throw new PayJarNameError(`Runtime Error: Method '${node.method}' not found in base class '${baseName}' of '${owner}'.`);
+        }
+        const self = this.getVariable('self').value as PayJarObject;
+        const evaluatedArgs = (node.arguments as ASTNode[]).map(argNode => this.visit(argNode, self));
+        return this.callFunction(this.bindMethod(method, self), evaluatedArgs, node.span);
+    }
     
-    private visitReturnStatement(node: ASTNode): never {
-        const returnValue = this.visit(node.expression);
+    private visitReturnStatement(node: ASTNode, current_instance: PayJarObject | null): never {
+        const returnValue = node.expression ? this.visit(node.expression, current_instance) : null;
         throw new FunctionReturn(returnValue);
     }
     
     private visitClassDefinition(node: ASTNode): void {
         const className = node.name;
         if (className in this.user_defined_classes) {
-            throw new Error(`Runtime Error: Class '${className}' already defined.`);
+            throw new PayJarError(`Runtime Error: Class '${className}' already defined.`);
+        }
+        for (const methodNode of [...node.methods, ...(node.ctor ? [node.ctor] : [])]) {
+            methodNode.is_method = true;
+            methodNode.owner_class = className;
         }
         this.user_defined_classes[className] = node;
     }
 
-    private visitObjectCreation(node: ASTNode): PayJarObject {
+    // Returns the definitions of a class and all of its ancestors, root class first.
+    // Unknown base classes and inheritance cycles are reported at the offending `extends`.
+    private classChain(className: string): ASTNode[] {
+        const chain: ASTNode[] = [];
+        const visited: string[] = [];
+        let definition: ASTNode = this.user_defined_classes[className];
+        while (definition) {
+            visited.push(definition.name);
+            chain.unshift(definition);
+            if (!definition.base) {
+                break;
+            }
+            if (visited.includes(definition.base)) {
+                throw new PayJarError(`Runtime Error: Inheritance cycle detected: ${[...visited, definition.base].join(' -> ')}.`, definition.base_span ?? null);
+            }
+            const base = this.user_defined_classes[definition.base];
+            if (!base) {
+                throw new PayJarNameError(`Runtime Error: Class '${definition.name}' extends unknown class '${definition.base}'.`, definition.base_span ?? null);
+            }
+            definition = base;
+        }
+        return chain;
+    }
+
+    // Finds a method (or the `init` constructor) on a class, searching up its inheritance chain.
+    private findMethod(className: string, methodName: string): ASTNode | null {
+        for (const definition of this.classChain(className).reverse()) {
+            if (methodName === 'init' && definition.ctor) {
+                return definition.ctor;
+            }
+            const method = definition.methods.find((m: ASTNode) => m.name === methodName);
+            if (method) {
+                return method;
+            }
+        }
+        return null;
+    }
+
+    private visitObjectCreation(node: ASTNode, current_instance: PayJarObject | null): PayJarObject {
         const className = node.class_name;
-        const evaluatedArgs = node.arguments.map((arg: ASTNode) => this.visit(arg));
+        const evaluatedArgs = node.arguments.map((arg: ASTNode) => this.visit(arg, current_instance));
 
         const classDefinition = this.user_defined_classes[className];
         if (!classDefinition) {
-            throw new Error(`Runtime Error: Attempt to create instance of undefined class '${className}'`);
+            throw new PayJarNameError(`Runtime Error: Attempt to create instance of undefined class '${className}'`);
         }
 
-        const instanceFields: any = {};
-        const instanceMethods: any = {};
+        const instanceFields: any = Object.create(null);
+        const instanceMethods: any = Object.create(null);
+        const instance = new PayJarObject(className, instanceFields, instanceMethods);
+        const chain = this.classChain(className);
 
-        // Initialize fields
-        for (const field of classDefinition.fields) {
-            const initialValue = field.value ? this.visit(field.value) : null;
-            instanceFields[field.name] = { value: initialValue, kind: field.kind };
+        // Map methods, then initialize fields, base classes first so subclasses override them
+        for (const definition of chain) {
+            for (const methodNode of definition.methods) {
+                instanceMethods[methodNode.name] = methodNode;
+            }
         }
-
-        // Map methods
-        for (const methodNode of classDefinition.methods) {
-            (methodNode as any).is_method = true;
-            instanceMethods[(methodNode as any).name] = methodNode;
+        for (const definition of chain) {
+            for (const field of definition.fields) {
+                const initialValue = field.value ? this.evaluateFieldInitializer(field.value, instance, definition.name) : null;
+                instanceFields[field.name] = { value: initialValue, kind: field.kind, visibility: field.visibility, owner: definition.name };
+            }
         }
 
-        const instance = new PayJarObject(className, instanceFields, instanceMethods);
-
-        // Execute constructor (init method)
-        if (classDefinition.ctor) {
-            const constructorNode = classDefinition.ctor;
-            (constructorNode as any).is_method = true;
-            const expectedConstructorParams = (constructorNode as any).parameters as string[];
+        // Execute constructor (init method), which may be inherited
+        const constructorNode = this.findMethod(className, 'init');
+        if (constructorNode) {
+            const expectedConstructorParams = constructorNode.parameters as string[];
             
             // Check for 'self' parameter
             if (!expectedConstructorParams || expectedConstructorParams[0] !== 'self') {
-                 throw new Error(`Runtime Error: Constructor 'init' for class '${className}' must have 'self' as its first parameter.`);
+                 throw new PayJarError(`Runtime Error: Constructor 'init' for class '${constructorNode.owner_class}' must have 'self' as its first parameter.`);
             }
             
             if ((expectedConstructorParams.length - 1) !== evaluatedArgs.length) {
-                throw new Error(`Runtime Error: Constructor for '${className}' expected ${expectedConstructorParams.length - 1} arguments but got ${evaluatedArgs.length}`);
+                throw new PayJarTypeError(`Runtime Error: Constructor for '${className}' expected ${expectedConstructorParams.length - 1} arguments but got ${evaluatedArgs.length}`);
             }
 
-            this.push_scope();
-            this.setVariable('self', instance, 'LET');
-            
-            for (let i = 0; i < evaluatedArgs.length; i++) {
-                this.setVariable(expectedConstructorParams[i + 1], evaluatedArgs[i], 'LET');
-            }
-
-            try {
-                for (const statement of constructorNode.body) {
-                    this.visit(statement, instance);
-                }
-            } catch (e) {
-                if (!(e instanceof FunctionReturn)) throw e;
-            } finally {
-                this.pop_scope();
-            }
+            this.callFunction(this.bindMethod(constructorNode, instance), evaluatedArgs, node.span);
         }
         return instance;
     }
 
+    // Field initializers see the globals and `self`, like method bodies, and not the scope that
+    // runs `NEW`.
+    private evaluateFieldInitializer(value: ASTNode, instance: PayJarObject, owner: string): any {
+        const callerEnvironment = this.environment;
+        this.environment = new Environment(this.globals);
+        this.setVariable('self', instance, 'LET');
+        this.method_owners.push(owner);
+        try {
+            return this.visit(value, instance);
+        } finally {
+            this.method_owners.pop();
+            this.environment = callerEnvironment;
+        }
+    }
+
     private visitMemberAccess(node: ASTNode, currentInstance: PayJarObject | null): any {
-        const obj = this.visit(node.object);
+        const obj = this.visit(node.object, currentInstance);
+        if (Array.isArray(obj)) {
+            return this.visitArrayMember(obj, node, currentInstance);
+        }
+        if (obj instanceof Map) {
+            return this.visitMapMember(obj, node, currentInstance);
+        }
+        if (typeof obj === 'string') {
+            return this.visitPrimitiveMember(obj, STRING_MEMBERS, node, currentInstance);
+        }
+        if (typeof obj === 'number') {
+            return this.visitPrimitiveMember(obj, NUMBER_MEMBERS, node, currentInstance);
+        }
+        if (obj instanceof PayJarErrorValue) {
+            return this.visitPrimitiveMember(obj, ERROR_MEMBERS, node, currentInstance);
+        }
         if (!(obj instanceof PayJarObject)) {
-            throw new Error(`Runtime Error: Attempt to access member '${node.member}' on a non-object type.`);
+            throw new PayJarTypeError(`Runtime Error: Attempt to access member '${node.member}' on a non-object type.`);
         }
 
         const memberName = node.member;
         
-        if (node.is_call) { // Method call
-            if (!(memberName in obj.methods)) {
-                throw new Error(`Runtime Error: Method '${memberName}' not found on object of type '${obj.class_name}'`);
+        if (node.is_call) { // Method call, or a call of a field holding a function
+            let func: PayJarFunction | NativeFunction;
+            if (memberName in obj.methods) {
+                const method = obj.methods[memberName];
+                this.checkAccess('method', memberName, method.visibility, method.owner_class);
+                func = this.bindMethod(method, obj);
+            } else if (memberName in obj.fields && this.isCallable(obj.fields[memberName].value)) {
+                const field = obj.fields[memberName];
+                this.checkAccess('field', memberName, field.visibility, field.owner);
+                func = field.value;
+            } else {
+                throw new PayJarNameError(`Runtime Error: Method '${memberName}' not found on object of type '${obj.class_name}'`);
+            }
+            // Arguments belong to the caller; a method body runs with the object itself as the instance
+            const evaluatedArgs = node.arguments.map((arg: ASTNode) => this.visit(arg, currentInstance));
+            return this.callFunction(func, evaluatedArgs, node.span);
+        } else { // Field access, or a method taken as a value bound to its object
+            if (!(memberName in obj.fields) && memberName in obj.methods) {
+                const method = obj.methods[memberName];
+                this.checkAccess('method', memberName, method.visibility, method.owner_class);
+                return this.bindMethod(method, obj);
+            }
+            return this.readField(obj, memberName);
+        }
+    }
+
+    private readField(obj: PayJarObject, memberName: string): any {
+        if (!(memberName in obj.fields)) {
+            throw new PayJarNameError(`Runtime Error: Field '${memberName}' not found on object of type '${obj.class_name}'`);
+        }
+        const field = obj.fields[memberName];
+        this.checkAccess('field', memberName, field.visibility, field.owner);
+        return field.value;
+    }
+
+    // Built-in members of strings and numbers.
+    private visitPrimitiveMember(value: string | number | PayJarErrorValue, members: PrimitiveMembers, node: ASTNode, current_instance: PayJarObject | null): any {
+        const memberName = node.member;
+        const valueType = typeName(value);
+        const own = (table: object) => Object.prototype.hasOwnProperty.call(table, memberName);
+        const available = describeMembers(Object.keys(members.fields), Object.keys(members.methods));
+
+        if (!node.is_call) {
+            if (own(members.fields)) {
+                return members.fields[memberName](value);
+            }
+            if (own(members.methods)) {
+                throw new PayJarError(`Runtime Error: '${memberName}' is a method of ${valueType}; call it as ${memberName}().`);
+            }
+            throw new PayJarNameError(`Runtime Error: Field '${memberName}' not found on ${valueType}. Available members: ${available}.`);
+        }
+        if (!own(members.methods)) {
+            throw new PayJarNameError(`Runtime Error: Method '${memberName}' not found on ${valueType}. Available members: ${available}.`);
+        }
+
+        const method = members.methods[memberName];
+        const args = node.arguments.map((arg: ASTNode) => this.visit(arg, current_instance));
+        if (args.length < method.minArgs || args.length > method.maxArgs) {
+            const expected = method.minArgs === method.maxArgs ? `${method.minArgs}` : `${method.minArgs} to ${method.maxArgs}`;
+            throw new PayJarTypeError(`Runtime Error: ${valueType === 'string' ? 'String' : 'Number'} method '${memberName}' expected ${expected} arguments but got ${args.length}`);
+        }
+        return method.call(value, args);
+    }
+
+    // --- Arrays ---
+
+    // Validates `index` for reading or writing an element of `array`.
+    private checkArrayIndex(array: any[], index: any): number {
+        if (typeof index !== 'number' || !Number.isInteger(index)) {
+            throw new PayJarTypeError(`Runtime Error: Array index must be an integer, got ${typeName(index)}.`);
+        }
+        if (index < 0) {
+            throw new PayJarIndexError(`Runtime Error: Negative array index ${index} is not allowed.`);
+        }
+        if (index >= array.length) {
+            throw new PayJarIndexError(`Runtime Error: Array index ${index} is out of range for an array of length ${array.length}.`);
+        }
+        return index;
+    }
+
+    private visitIndexAccess(node: ASTNode, current_instance: PayJarObject | null): any {
+        const target = this.visit(node.object, current_instance);
+        return this.readIndex(target, this.visit(node.index, current_instance));
+    }
+
+    private readIndex(target: any, index: any): any {
+        if (target instanceof Map) {
+            if (!target.has(this.checkMapKey(index))) {
+                throw new PayJarIndexError(`Runtime Error: Key ${formatValue(index, true)} not found in map.`);
+            }
+            return target.get(index);
+        }
+        if (!Array.isArray(target)) {
+            throw new PayJarTypeError(`Runtime Error: Cannot index into a value of type '${typeName(target)}'.`);
+        }
+        return target[this.checkArrayIndex(target, index)];
+    }
+
+    private visitIndexAssignment(node: ASTNode, current_instance: PayJarObject | null): void {
+        const target = this.visit(node.object, current_instance);
+        const index = this.visit(node.index, current_instance);
+        this.writeIndex(target, index, () => this.visit(node.value, current_instance));
+    }
+
+    // The value is computed only once the target has been checked, so `a[i] = f()` fails before calling f.
+    private writeIndex(target: any, index: any, value: () => any): void {
+        if (target instanceof Map) {
+            target.set(this.checkMapKey(index), value());
+            return;
+        }
+        if (!Array.isArray(target)) {
+            throw new PayJarTypeError(`Runtime Error: Cannot assign by index into a value of type '${typeName(target)}'.`);
+        }
+        target[this.checkArrayIndex(target, index)] = value();
+    }
+
+    private static readonly ARRAY_MEMBERS = describeMembers(['length'], ['push', 'pop', 'slice', 'map', 'filter']);
+    private static readonly MAP_MEMBERS = describeMembers(['length'], ['keys', 'values', 'has', 'remove']);
+    private static readonly ARITHMETIC_OPERATORS = ['+', '-', '*', '/', '~/', '%'];
+    private static readonly COMPARISON_OPERATORS = ['<', '>', '<=', '>='];
+
+    // Built-in array members: the `length` field and the push/pop/slice/map/filter methods.
+    private visitArrayMember(array: any[], node: ASTNode, current_instance: PayJarObject | null): any {
+        const memberName = node.member;
+        if (!node.is_call) {
+            if (memberName === 'length') {
+                return array.length;
+            }
+            throw new PayJarNameError(`Runtime Error: Field '${memberName}' not found on array. Available members: ${Interpreter.ARRAY_MEMBERS}.`);
+        }
+
+        const args = node.arguments.map((arg: ASTNode) => this.visit(arg, current_instance));
+        const expectArgs = (min: number, max: number = min) => {
+            if (args.length < min || args.length > max) {
+                const expected = min === max ? `${min}` : `${min} to ${max}`;
+                throw new PayJarTypeError(`Runtime Error: Array method '${memberName}' expected ${expected} arguments but got ${args.length}`);
             }
-            // Delegate to function call logic, passing the object itself as the instance
-            return this.visitFunctionCall({ type: "function_call", name: memberName, arguments: node.arguments }, obj);
-        } else { // Field access
-            if (!(memberName in obj.fields)) {
-                throw new Error(`Runtime Error: Field '${memberName}' not found on object of type '${obj.class_name}'`);
+        };
+
+        switch (memberName) {
+            case 'push':
+                expectArgs(1, Infinity);
+                array.push(...args);
+                return array.length;
+            case 'pop':
+                expectArgs(0);
+                if (array.length === 0) {
+                    throw new PayJarIndexError("Runtime Error: Cannot pop from an empty array.");
+                }
+                return array.pop();
+            case 'slice': {
+                expectArgs(1, 2);
+                const [begin, end = array.length] = args;
+                for (const bound of [begin, end]) {
+                    if (typeof bound !== 'number' || !Number.isInteger(bound) || bound < 0) {
+                        throw new PayJarError(`Runtime Error: Array slice bounds must be non-negative integers, got ${formatValue(bound, true)}.`);
+                    }
+                }
+                return array.slice(begin, end);
+            }
+            case 'map': {
+                expectArgs(1);
+                const callback = this.checkCallback(memberName, args[0]);
+                return array.map(element => this.callFunction(callback, [element], node.span));
+            }
+            case 'filter': {
+                expectArgs(1);
+                const callback = this.checkCallback(memberName, args[0]);
+                return array.filter(element => this.isTruthy(this.callFunction(callback, [element], node.span)));
+            }
+            default:
+                throw new PayJarNameError(`Runtime Error: Method '${memberName}' not found on array. Available members: ${Interpreter.ARRAY_MEMBERS}.`);
+        }
+    }
+
+    private checkCallback(methodName: string, callback: any): PayJarFunction | NativeFunction {
+        if (!this.isCallable(callback)) {
+            throw new PayJarTypeError(`Runtime Error: Array method '${methodName}' expects a function, got ${typeName(callback)}.`);
+        }
+        return callback;
+    }
+
+    // --- Maps ---
+
+    // Map keys are strings or numbers.
+    private checkMapKey(key: any): string | number {
+        if (typeof key !== 'string' && typeof key !== 'number') {
+            throw new PayJarTypeError(`Runtime Error: Map keys must be strings or numbers, got ${typeName(key)}.`);
+        }
+        return key;
+    }
+
+    private visitMapLiteral(node: ASTNode, current_instance: PayJarObject | null): Map<string | number, any> {
+        const map = new Map<string | number, any>();
+        for (const entry of node.entries) {
+            map.set(this.checkMapKey(this.visit(entry.key, current_instance)), this.visit(entry.value, current_instance));
+        }
+        return map;
+    }
+
+    // Built-in map members: the `length` field and the keys/values/has/remove methods.
+    private visitMapMember(map: Map<string | number, any>, node: ASTNode, current_instance: PayJarObject | null): any {
+        const memberName = node.member;
+        if (!node.is_call) {
+            if (memberName === 'length') {
+                return map.size;
+            }
+            throw new PayJarNameError(`Runtime Error: Field '${memberName}' not found on map. Available members: ${Interpreter.MAP_MEMBERS}.`);
+        }
+
+        const args = node.arguments.map((arg: ASTNode) => this.visit(arg, current_instance));
+        const expectArgs = (count: number) => {
+            if (args.length !== count) {
+                throw new PayJarTypeError(`Runtime Error: Map method '${memberName}' expected ${count} arguments but got ${args.length}`);
             }
-            return obj.fields[memberName].value;
+        };
+
+        switch (memberName) {
+            case 'keys':
+                expectArgs(0);
+                return [...map.keys()];
+            case 'values':
+                expectArgs(0);
+                return [...map.values()];
+            case 'has':
+                expectArgs(1);
+                return map.has(this.checkMapKey(args[0]));
+            case 'remove':
+                expectArgs(1);
+                return map.delete(this.checkMapKey(args[0]));
+            default:
+                throw new PayJarNameError(`Runtime Error: Method '${memberName}' not found on map. Available members: ${Interpreter.MAP_MEMBERS}.`);
+        }
+    }
+
+    // Private members may only be used from the methods of the class that declares them.
+    private checkAccess(memberKind: 'field' | 'method', memberName: string, visibility: string | undefined, owner: string): void {
+        if (visibility === 'private' && this.method_owners[this.method_owners.length - 1] !== owner) {
+            throw new PayJarAccessError(`Runtime Error: Cannot access private ${memberKind} '${memberName}' of class '${owner}'.`);
         }
     }
 
     private visitMemberAssignment(node: ASTNode, currentInstance: PayJarObject | null): void {
-        const obj = this.visit(node.object);
+        const obj = this.visit(node.object, currentInstance);
         if (!(obj instanceof PayJarObject)) {
-            throw new Error(`Runtime Error: Attempt to assign member '${node.member}' on a non-object type.`);
+            throw new PayJarTypeError(`Runtime Error: Attempt to assign member '${node.member}' on a non-object type.`);
         }
-        const memberName = node.member;
-        const newValue = this.visit(node.value);
+        this.writeField(obj, node.member, this.visit(node.value, currentInstance));
+    }
 
+    private writeField(obj: PayJarObject, memberName: string, newValue: any): void {
         if (!(memberName in obj.fields)) {
-            throw new Error(`Runtime Error: Field '${memberName}' not found on object of type '${obj.class_name}' for assignment.`);
+            throw new PayJarNameError(`Runtime Error: Field '${memberName}' not found on object of type '${obj.class_name}' for assignment.`);
         }
+        this.checkAccess('field', memberName, obj.fields[memberName].visibility, obj.fields[memberName].owner);
         if (obj.fields[memberName].kind === 'CONST') {
-            throw new Error(`Runtime Error: Cannot assign to constant field '${memberName}' of object '${obj.class_name}'.`);
+            throw new PayJarTypeError(`Runtime Error: Cannot assign to constant field '${memberName}' of object '${obj.class_name}'.`);
         }
         obj.fields[memberName].value = newValue;
     }
 
-    private visitBinaryOp(node: ASTNode): any {
-        const leftVal = this.visit(node.left);
-        const rightVal = this.visit(node.right);
-        const operator = node.operator;
+    // Resolves the target of a compound assignment or `++`/`--` to a read and a write. The object
+    // and index are evaluated once, so `items[next()] += 1` calls next() a single time.
+    private resolveTarget(target: ASTNode, current_instance: PayJarObject | null): { get: () => any, set: (value: any) => void } {
+        if (target.type === "variable_access") {
+            return { get: () => this.getVariable(target.name).value, set: value => this.setVariable(target.name, value) };
+        }
+        if (target.type === "member_access") {
+            const obj = this.visit(target.object, current_instance);
+            if (!(obj instanceof PayJarObject)) {
+                throw new PayJarTypeError(`Runtime Error: Attempt to assign member '${target.member}' on a non-object type.`);
+            }
+            return { get: () => this.readField(obj, target.member), set: value => this.writeField(obj, target.member, value) };
+        }
+        const obj = this.visit(target.object, current_instance);
+        const index = this.visit(target.index, current_instance);
+        return { get: () => this.readIndex(obj, index), set: value => this.writeIndex(obj, index, () => value) };
+    }
+
+    // `x op= value` is `x = x op value` with the target evaluated once.
+    private visitCompoundAssignment(node: ASTNode, current_instance: PayJarObject | null): void {
+        const target = this.resolveTarget(node.target, current_instance);
+        const current = target.get();
+        target.set(this.applyBinaryOp(node.operator, current, this.visit(node.value, current_instance)));
+    }
+
+    // Prefix `++x` evaluates to the new value, postfix `x++` to the old one.
+    private visitUpdateExpression(node: ASTNode, current_instance: PayJarObject | null): number {
+        const target = this.resolveTarget(node.target, current_instance);
+        const oldValue = target.get();
+        if (typeof oldValue !== 'number') {
+            throw new PayJarTypeError(`Runtime Error: Operator '${node.operator}' requires a number, got ${typeName(oldValue)}.`);
+        }
+        const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+        target.set(newValue);
+        return node.prefix ? newValue : oldValue;
+    }
+
+    // --- Control Flow ---
+
+    // Truthiness rule: false, null, 0 and the empty string are falsy; every other value is truthy.
+    private isTruthy(value: any): boolean {
+        return value !== false && value !== null && value !== undefined && value !== 0 && value !== "";
+    }
 
-        if (typeof leftVal !== typeof rightVal) {
-             // Basic type compatibility check, often required for concatenation vs arithmetic
+    // Runs a block of statements in its own scope.
+    private executeBlock(statements: ASTNode[], current_instance: PayJarObject | null): void {
+        this.push_scope();
+        try {
+            for (const statement of statements) {
+                this.visit(statement, current_instance);
+            }
+        } finally {
+            this.pop_scope();
+        }
+    }
+
+    // Errors raised by the interpreter are caught as error objects and thrown values as they are.
+    // Cancellation and control flow (return, break, continue) pass through, though the finally
+    // block still runs for them.
+    private visitTryStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        try {
+            this.executeBlock(node.body, current_instance);
+        } catch (e) {
+            if (!node.catch_body || !this.isCatchable(e)) {
+                throw e;
+            }
+            const caught = e instanceof ThrowSignal ? e.value
+                : new PayJarErrorValue(e.kind, e.message.replace(/^Runtime Error: /, ''), e.trace ?? []);
+            this.push_scope();
+            try {
+                this.setVariable(node.catch_name, caught, 'LET');
+                this.executeBlock(node.catch_body, current_instance);
+            } finally {
+                this.pop_scope();
+            }
+        } finally {
+            if (node.finally_body) {
+                this.executeBlock(node.finally_body, current_instance);
+            }
+        }
+    }
+
+    private isCatchable(e: unknown): e is PayJarError {
+        return e instanceof PayJarError && !(e instanceof ExecutionCancelled);
+    }
+
+    // `throw "text";` is short for `throw error("text");`. Error objects get their stack when first thrown.
+    private visitThrowStatement(node: ASTNode, current_instance: PayJarObject | null): never {
+        let value = this.visit(node.expression, current_instance);
+        if (typeof value === 'string') {
+            value = new PayJarErrorValue('Error', value);
+        }
+        if (value instanceof PayJarErrorValue && value.stack.length === 0) {
+            value.stack = this.captureTrace(node.span ?? null);
+        }
+        throw new ThrowSignal(value, node.span ?? null);
+    }
+
+    // The PayJar call stack, innermost call first: `at fib (line 4)`, ..., `at main (line 12)`.
+    // Each call is shown at the line it had reached; the innermost one at `location`.
+    private captureTrace(location: SourceSpan | null): string[] {
+        const describeLine = (span: SourceSpan | null) => span ? ` (line ${span.start.line + 1})` : '';
+        const trace: string[] = [];
+        for (let i = this.call_stack.length - 1; i >= 0; i--) {
+            trace.push(`at ${this.call_stack[i].name}${describeLine(location)}`);
+            location = this.call_stack[i].call_site;
+        }
+        trace.push(`at main${describeLine(location)}`);
+        return trace;
+    }
+
+    private visitIfStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        if (this.isTruthy(this.visit(node.condition, current_instance))) {
+            this.executeBlock(node.then_branch, current_instance);
+        } else if (node.else_branch) {
+            this.executeBlock(node.else_branch, current_instance);
+        }
+    }
+
+    // Runs one iteration of a loop body. Returns false when the loop should stop (`break`).
+    private executeLoopBody(body: ASTNode[], current_instance: PayJarObject | null): boolean {
+        try {
+            this.executeBlock(body, current_instance);
+        } catch (e) {
+            if (e instanceof BreakSignal) {
+                return false;
+            }
+            if (!(e instanceof ContinueSignal)) {
+                throw e;
+            }
+        }
+        return true;
+    }
+
+    private visitWhileStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        while (this.isTruthy(this.visit(node.condition, current_instance))) {
+            if (!this.executeLoopBody(node.body, current_instance)) {
+                break;
+            }
+        }
+    }
+
+    // Iterates over a snapshot, so the loop body may modify the collection safely.
+    private visitForInStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        const iterable = this.visit(node.iterable, current_instance);
+        let items: any[];
+        if (Array.isArray(iterable)) {
+            items = [...iterable];
+        } else if (iterable instanceof Map) {
+            items = [...iterable.keys()];
+        } else {
+            throw new PayJarTypeError(`Runtime Error: Cannot iterate over a value of type '${typeName(iterable)}'.`, node.iterable.span ?? null);
+        }
+
+        for (const item of items) {
+            // Each iteration gets a fresh binding of the loop variable.
+            this.push_scope();
+            try {
+                this.setVariable(node.name, item, node.kind);
+                if (!this.executeLoopBody(node.body, current_instance)) {
+                    break;
+                }
+            } finally {
+                this.pop_scope();
+            }
+        }
+    }
+
+    private visitForStatement(node: ASTNode, current_instance: PayJarObject | null): void {
+        // The loop variable lives in a scope of its own, around the per-iteration body scope.
+        this.push_scope();
+        try {
+            if (node.init) {
+                this.visit(node.init, current_instance);
+            }
+            while (!node.condition || this.isTruthy(this.visit(node.condition, current_instance))) {
+                if (!this.executeLoopBody(node.body, current_instance)) {
+                    break;
+                }
+                // Each iteration gets a fresh copy of the loop variable, so closures created in
+                // the body keep the value it had then; the update applies to the copy.
+                const next = new Environment(this.environment.parent);
+                for (const name in this.environment.vars) {
+                    next.vars[name] = { ...this.environment.vars[name] };
+                }
+                this.environment = next;
+                if (node.update) {
+                    this.visit(node.update, current_instance);
+                }
+            }
+        } finally {
+            this.pop_scope();
+        }
+    }
+
+    // Numbers are JS doubles; a number counts as an int when it has no fractional part.
+    // `/` always divides exactly (7 / 2 is 3.5), `~/` is integer division truncating toward zero (7 ~/ 2 is 3).
+    private visitBinaryOp(node: ASTNode, current_instance: PayJarObject | null): any {
+        const leftVal = this.visit(node.left, current_instance);
+        const rightVal = this.visit(node.right, current_instance);
+        return this.applyBinaryOp(node.operator, leftVal, rightVal);
+    }
+
+    // Arithmetic takes two numbers; `+` also joins a string with any value, written as println
+    // would write it. `==` and `!=` work on any values, `<`, `>`, `<=` and `>=` on two numbers
+    // or two strings.
+    private applyBinaryOp(operator: string, leftVal: any, rightVal: any): any {
+        if (operator === '+' && (typeof leftVal === 'string' || typeof rightVal === 'string')) {
+            return formatValue(leftVal) + formatValue(rightVal);
+        }
+        if (Interpreter.ARITHMETIC_OPERATORS.includes(operator) && (typeof leftVal !== 'number' || typeof rightVal !== 'number')) {
+            const culprit = typeof leftVal !== 'number' ? leftVal : rightVal;
+            throw new PayJarTypeError(`Runtime Error: Operator '${operator}' expects numbers, got ${typeName(culprit)}.`);
+        }
+        // Anything else would be compared the way JavaScript does, e.g. `null < 1` or `[2] > [10]`.
+        const comparable = (typeof leftVal === 'number' || typeof leftVal === 'string') && typeof leftVal === typeof rightVal;
+        if (Interpreter.COMPARISON_OPERATORS.includes(operator) && !comparable) {
+            throw new PayJarTypeError(`Runtime Error: Operator '${operator}' expects two numbers or two strings, got ${typeName(leftVal)} and ${typeName(rightVal)}.`);
         }
 
         switch (operator) {
@@ -975,14 +3066,15 @@ export class Interpreter {
             case '-': return leftVal - rightVal;
             case '*': return leftVal * rightVal;
             case '/': 
-                if (rightVal === 0) throw new Error("Runtime Error: Division by zero.");
-                // Ensure integer division if both are integers (mimicking Python's // behavior if that was intended for /)
-                if (Number.isInteger(leftVal) && Number.isInteger(rightVal)) {
-                    return Math.trunc(leftVal / rightVal); 
-                }
+                if (rightVal === 0) throw new PayJarError("Runtime Error: Division by zero.");
                 return leftVal / rightVal;
+            case '~/':
+                if (rightVal === 0) {
+                    throw new PayJarError("Runtime Error: Integer division by zero.");
+                }
+                return Math.trunc(leftVal / rightVal);
             case '%':
-                if (rightVal === 0) throw new Error("Runtime Error: Modulo by zero.");
+                if (rightVal === 0) throw new PayJarError("Runtime Error: Modulo by zero.");
                 return leftVal % rightVal;
             case '==': return leftVal === rightVal;
             case '!=': return leftVal !== rightVal;
@@ -990,21 +3082,34 @@ export class Interpreter {
             case '>': return leftVal > rightVal;
             case '<=': return leftVal <= rightVal;
             case '>=': return leftVal >= rightVal;
-            default: throw new Error(`Runtime Error: Unsupported binary operator: ${operator}`);
+            default: throw new PayJarError(`Runtime Error: Unsupported binary operator: ${operator}`);
+        }
+    }
+
+    // `&&` and `||` short-circuit: the right operand is only evaluated when it decides the result.
+    private visitLogicalOp(node: ASTNode, current_instance: PayJarObject | null): boolean {
+        const left = this.isTruthy(this.visit(node.left, current_instance));
+        if (node.operator === '&&' ? !left : left) {
+            return left;
         }
+        return this.isTruthy(this.visit(node.right, current_instance));
     }
 
-    private visitUnaryOp(node: ASTNode): number {
-        const operandVal = this.visit(node.operand);
+    private visitUnaryOp(node: ASTNode, current_instance: PayJarObject | null): number | boolean {
+        const operandVal = this.visit(node.operand, current_instance);
         const operator = node.operator;
 
+        if (operator === '!') {
+            return !this.isTruthy(operandVal);
+        }
+
         if (typeof operandVal !== 'number') {
-            throw new Error(`Runtime Error: Unary operator ${operator} applied to non-numeric type.`);
+            throw new PayJarTypeError(`Runtime Error: Unary operator ${operator} applied to non-numeric type.`);
         }
 
         if (operator === '+') return +operandVal;
         if (operator === '-') return -operandVal;
-        throw new Error(`Runtime Error: Unsupported unary operator: ${operator}`);
+        throw new PayJarError(`Runtime Error: Unsupported unary operator: ${operator}`);
     }
 }
 
@@ -1014,7 +3119,7 @@ export class Interpreter {
 
 // PJRT (PayJar RunTime)
 export class PJRT {
-    constructor(private code: string, private debug: boolean = false) {
+    constructor(private code: string, private debug: boolean = false, private host: IOHost = new ConsoleIOHost()) {
         this.run_code(debug);
     }
 
@@ -1030,29 +3135,21 @@ export class PJRT {
             ast = parser.parse() as MainDefinitionNode;
             if (debug_on) console.log("Parsed AST:", JSON.stringify(ast, null, 2));
 
-            const interpreter = new Interpreter();
+            const interpreter = new Interpreter(this.host);
             interpreter.interpret(ast);
             
         } catch (e) {
-            console.error(`Error during PJRT execution:`, e);
+            this.host.writeError(`Error during PJRT execution: ${e instanceof Error ? e.message : String(e)}`);
         }
         return { tokens, ast };
     }
 }
 
-// PJS (PayJar Shell/Simulator - Highly simplified, as the Python version seemed incomplete)
+// PJS (PayJar Shell): runs a program on the console, feeding `inputData` to readln() line by line.
 export class PJS {
-    // In a real TS environment, PJS would handle the input/output shell.
-    // Given the Python PJS was mostly a wrapper for PJRT, we'll keep it simple.
-    
-    // The original Python PJS seemed to confuse its own AST with the COMP AST.
-    // For TypeScript, we'll just demonstrate calling PJRT.
     public run(code: string, inputData: string = ""): void {
-        console.log(`--- Running Code (Input Simulated: ${inputData}) ---`);
-        // Note: The Interpreter class uses console.log for PRINT statements and 
-        // global `input()` (or simulated input) for READLN, which would need 
-        // a more complex implementation for true simulation.
-        new PJRT(code, true);
+        console.log(`--- Running Code ---`);
+        new PJRT(code, true, new ConsoleIOHost(inputData));
         console.log(`--- Execution Complete ---`);
     }
 }
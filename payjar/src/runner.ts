@@ -0,0 +1,101 @@
+// Worker thread that runs one PayJar program for the run terminal (see terminal.ts).
+// Output and input requests are posted to the extension as messages; readln() blocks on a
+// buffer shared with the extension until the terminal writes the typed line into it.
+import { parentPort, workerData } from 'worker_threads';
+import { Lexer, Parser, Interpreter, IOHost, PayJarError, SourceSpan, ExecutionLimits } from './payjar';
+
+export interface RunRequest {
+    // Marks the worker data as a program to run (see the end of this file).
+    type: 'run';
+    code: string;
+    input: SharedArrayBuffer;
+    limits: Partial<ExecutionLimits>;
+}
+
+export type RunnerMessage =
+    | { type: 'output', text: string }
+    | { type: 'error', text: string }
+    | { type: 'input', prompt: string }
+    | { type: 'done', error: { message: string, span: SourceSpan | null } | null };
+
+// Layout of the shared input buffer: a state word, the byte length of the line, then its UTF-8 bytes.
+export const INPUT_BUFFER_BYTES = 64 * 1024;
+const HEADER_BYTES = 8;
+const STATE = 0;
+const LENGTH = 1;
+const WAITING = 0;
+const LINE_READY = 1;
+const END_OF_INPUT = 2;
+
+// Extension side: hands a typed line (or the end of input, as null) to the worker waiting in readln().
+// Overlong lines are cut to fit the buffer, between characters; returns false when that happened.
+export function sendInput(buffer: SharedArrayBuffer, line: string | null): boolean {
+    const control = new Int32Array(buffer, 0, 2);
+    let complete = true;
+    if (line === null) {
+        Atomics.store(control, STATE, END_OF_INPUT);
+    } else {
+        const { read, written } = new TextEncoder().encodeInto(line, new Uint8Array(buffer, HEADER_BYTES));
+        complete = read === line.length;
+        Atomics.store(control, LENGTH, written);
+        Atomics.store(control, STATE, LINE_READY);
+    }
+    Atomics.notify(control, STATE);
+    return complete;
+}
+
+// Worker side: blocks until sendInput() is called.
+function receiveInput(buffer: SharedArrayBuffer): string | null {
+    const control = new Int32Array(buffer, 0, 2);
+    Atomics.wait(control, STATE, WAITING);
+    const line = Atomics.load(control, STATE) === LINE_READY
+        ? new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, Atomics.load(control, LENGTH)).slice())
+        : null;
+    Atomics.store(control, STATE, WAITING);
+    return line;
+}
+
+class WorkerHost implements IOHost {
+    constructor(private input: SharedArrayBuffer) {}
+
+    public readLine(prompt: string): string | null {
+        post({ type: 'input', prompt });
+        return receiveInput(this.input);
+    }
+
+    public write(text: string): void {
+        post({ type: 'output', text });
+    }
+
+    public writeLine(text: string): void {
+        post({ type: 'output', text: `${text}\n` });
+    }
+
+    public writeError(text: string): void {
+        post({ type: 'error', text });
+    }
+}
+
+function post(message: RunnerMessage): void {
+    parentPort!.postMessage(message);
+}
+
+function runProgram(request: RunRequest): void {
+    let error: { message: string, span: SourceSpan | null } | null = null;
+    try {
+        const ast = new Parser(new Lexer(request.code).tokenize()).parse();
+        new Interpreter(new WorkerHost(request.input), request.limits).interpret(ast);
+    } catch (e) {
+        error = {
+            message: e instanceof Error ? e.message : String(e),
+            span: e instanceof PayJarError ? e.span : null,
+        };
+    }
+    post({ type: 'done', error });
+}
+
+// The extension imports this module for the protocol above; only a worker started with a
+// RunRequest runs a program.
+if (parentPort && (workerData as RunRequest | null)?.type === 'run') {
+    runProgram(workerData);
+}
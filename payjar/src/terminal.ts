@@ -0,0 +1,200 @@
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { Worker } from 'worker_threads';
+import { DEFAULT_LIMITS, ExecutionLimits, SourceSpan } from './payjar';
+import { INPUT_BUFFER_BYTES, RunRequest, RunnerMessage, sendInput } from './runner';
+
+const EXIT_STOPPED = 130;
+// Each PayJar call takes many JavaScript frames, so raised call depth limits need a larger stack.
+const WORKER_STACK_MB = 32;
+// How long past its time limit a program may run before the terminal stops the worker itself,
+// for when the interpreter cannot check its own deadline.
+const TIMEOUT_GRACE_MS = 2000;
+
+/**
+ * Runs a PayJar program in a worker thread, connected to an integrated terminal.
+ * Output is streamed as it is printed and typed lines answer readln(). Lines typed before
+ * the program asks for them are queued. Ctrl+C stops the program and Ctrl+D on an empty
+ * line ends its input. When the program ends, its exit status is shown and the next key
+ * press closes the terminal.
+ */
+export class PayJarTerminal implements vscode.Pseudoterminal {
+    // Programs still running, for the Stop Program command.
+    private static running = new Set<PayJarTerminal>();
+
+    /**
+     * Stops every running program and returns how many were stopped.
+     */
+    public static stopAll(): number {
+        const count = PayJarTerminal.running.size;
+        for (const terminal of [...PayJarTerminal.running]) {
+            terminal.stop();
+        }
+        return count;
+    }
+
+    private writeEmitter = new vscode.EventEmitter<string>();
+    private closeEmitter = new vscode.EventEmitter<number | void>();
+    public onDidWrite = this.writeEmitter.event;
+    public onDidClose = this.closeEmitter.event;
+
+    private worker: Worker | null = null;
+    private input = new SharedArrayBuffer(INPUT_BUFFER_BYTES);
+    private typedLine = '';
+    private pendingLines: (string | null)[] = [];
+    private waitingForInput = false;
+    private exitCode: number | null = null;
+    private timer: NodeJS.Timeout | null = null;
+    private timerStart = 0;
+    private timeLeft = 0;
+
+    constructor(private code: string, private limits: Partial<ExecutionLimits> = {}) {}
+
+    public open(): void {
+        const request: RunRequest = { type: 'run', code: this.code, input: this.input, limits: this.limits };
+        this.worker = new Worker(path.join(__dirname, 'runner.js'), {
+            workerData: request,
+            resourceLimits: { stackSizeMb: WORKER_STACK_MB },
+        });
+        PayJarTerminal.running.add(this);
+        this.timeLeft = (this.limits.timeoutMs ?? DEFAULT_LIMITS.timeoutMs) + TIMEOUT_GRACE_MS;
+        this.startTimer();
+        this.worker.on('message', (message: RunnerMessage) => this.handleMessage(message));
+        this.worker.on('error', error => this.finish(1, `Internal error: ${error.message}`));
+        this.worker.on('exit', () => this.finish(1, 'The program stopped unexpectedly.'));
+    }
+
+    public close(): void {
+        this.finish(EXIT_STOPPED);
+    }
+
+    public handleInput(data: string): void {
+        if (this.exitCode !== null) {
+            this.closeEmitter.fire(this.exitCode);
+            return;
+        }
+        for (const char of data) {
+            if (char === '\x03') { // Ctrl+C
+                this.write('^C\n');
+                this.stop();
+                return;
+            } else if (char === '\x04') { // Ctrl+D
+                if (this.typedLine === '') {
+                    this.submit(null);
+                }
+            } else if (char === '\r') {
+                this.write('\n');
+                this.submit(this.typedLine);
+                this.typedLine = '';
+            } else if (char === '\x7f') { // Backspace
+                if (this.typedLine !== '') {
+                    this.typedLine = this.typedLine.slice(0, -1);
+                    this.writeEmitter.fire('\b \b');
+                }
+            } else if (char >= ' ') {
+                this.typedLine += char;
+                this.writeEmitter.fire(char);
+            }
+        }
+    }
+
+    public stop(): void {
+        this.finish(EXIT_STOPPED, '\x1b[31mExecution cancelled.\x1b[0m');
+    }
+
+    private submit(line: string | null): void {
+        if (this.waitingForInput) {
+            this.waitingForInput = false;
+            this.startTimer();
+            this.deliver(line);
+        } else {
+            this.pendingLines.push(line);
+        }
+    }
+
+    private deliver(line: string | null): void {
+        if (!sendInput(this.input, line)) {
+            this.write(`\x1b[33m[The line was too long and has been shortened to fit the ${INPUT_BUFFER_BYTES / 1024} KB input buffer.]\x1b[0m\n`);
+        }
+    }
+
+    private handleMessage(message: RunnerMessage): void {
+        if (this.exitCode !== null) {
+            return;
+        }
+        switch (message.type) {
+            case 'output':
+                this.write(message.text);
+                break;
+            case 'error':
+                this.write(`\x1b[31m${message.text}\x1b[0m\n`);
+                break;
+            case 'input':
+                this.write(message.prompt);
+                if (this.pendingLines.length > 0) {
+                    this.deliver(this.pendingLines.shift()!);
+                } else {
+                    this.waitingForInput = true;
+                    this.pauseTimer();
+                }
+                break;
+            case 'done':
+                if (message.error) {
+                    this.finish(1, `\x1b[31mError: ${message.error.message}${describeLocation(message.error.span)}\x1b[0m`);
+                } else {
+                    this.finish(0);
+                }
+                break;
+        }
+    }
+
+    // Stops the worker (if still running) and reports the exit status. Only the first call counts.
+    private finish(exitCode: number, message?: string): void {
+        if (this.exitCode !== null) {
+            return;
+        }
+        this.exitCode = exitCode;
+        PayJarTerminal.running.delete(this);
+        this.pauseTimer();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (message) {
+            this.write(`${message}\n`);
+        }
+        this.write(`\n[Program exited with code ${exitCode}. Press any key to close the terminal.]\n`);
+    }
+
+    // Like the interpreter's own timeout, the terminal's does not count time spent waiting for input.
+    private startTimer(): void {
+        this.timerStart = Date.now();
+        this.timer = setTimeout(() => {
+            const seconds = (this.limits.timeoutMs ?? DEFAULT_LIMITS.timeoutMs) / 1000;
+            this.finish(1, `\x1b[31mExecution cancelled: the program ran for more than ${seconds} seconds.\x1b[0m`);
+        }, this.timeLeft);
+    }
+
+    private pauseTimer(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.timeLeft -= Date.now() - this.timerStart;
+        }
+    }
+
+    // Terminals need CRLF line breaks.
+    private write(text: string): void {
+        this.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+    }
+}
+
+/**
+ * Formats the location of a PayJar error, e.g. " (line 3, column 5)".
+ */
+function describeLocation(span: SourceSpan | null): string {
+    if (span) {
+        return ` (line ${span.start.line + 1}, column ${span.start.column + 1})`;
+    }
+    return '';
+}
@@ -0,0 +1,1520 @@
+import * as assert from 'assert';
+import * as path from 'path';
+import { Worker } from 'worker_threads';
+import { Lexer, Parser, Interpreter, PayJarError, ASTNode, StringIOHost, SourcePosition, DEFAULT_LIMITS } from '../payjar';
+import { INPUT_BUFFER_BYTES, RunnerMessage, RunRequest, sendInput } from '../runner';
+import { analyze, Completion, completionsAt, outline, OutlineSymbol, planRename, referenceAt, referencesTo, semanticTokens } from '../analysis';
+
+function parse(code: string) {
+    return new Parser(new Lexer(code).tokenize()).parse();
+}
+
+// Runs a program on `input` and returns everything it printed, one entry per println.
+function run(code: string, input: string = ''): string[] {
+    const host = new StringIOHost(input);
+    new Interpreter(host).interpret(parse(code));
+    return host.output;
+}
+
+// A program using most of the syntax, for tests that cut it short.
+const SAMPLE_PROGRAM = [
+    'public class Main(@self) {',
+    '    class Counter(@inner_self) {',
+    '        private let count = 0;',
+    '        func init(self, start) { self.count = start; }',
+    '        func next(self) { self.count += 1; return self.count; }',
+    '    }',
+    '    const c = NEW Counter(1);',
+    '    var m = { "a": [1, 2.5], "b": `x ${c.next()}` };',
+    '    for (let i = 0; i < 3; i++) { if (i == 1) { continue; } else { println(i); } }',
+    '    for (let k in m) { println(k); }',
+    '    let f = (x) => x * 2;',
+    '    func g(a, b) { while (a > b) { a--; } return a; }',
+    '    try { throw error("bad", "TypeError"); } catch (e) { println(e.kind); } finally { println(g(1, 2)); }',
+    '}',
+].join('\n');
+
+// Wraps statements in the main class.
+function main(...lines: string[]): string {
+    return ['public class Main(@self) {', ...lines, '}'].join('\n');
+}
+
+// Runs a program and returns the error it raised, failing the test if none was raised.
+function runError(code: string): PayJarError {
+    try {
+        new Interpreter(new StringIOHost()).interpret(parse(code));
+    } catch (e) {
+        assert.ok(e instanceof PayJarError, `expected a PayJarError, got ${e}`);
+        return e;
+    }
+    assert.fail('expected the program to fail');
+}
+
+suite('PayJar Source Spans', () => {
+    test('Tokens record line and column across comments', () => {
+        const tokens = new Lexer('// heading\nlet /* inline */ x = 42;').tokenize();
+        assert.deepStrictEqual(tokens.map(t => t.type), ['LET', 'IDENTIFIER', 'EQUAL', 'NUMBER', 'SEMICOLON']);
+        assert.deepStrictEqual(tokens[1].span, { start: { line: 1, column: 17 }, end: { line: 1, column: 18 } });
+        assert.deepStrictEqual(tokens[3].span, { start: { line: 1, column: 21 }, end: { line: 1, column: 23 } });
+    });
+
+    test('Comment markers inside strings are kept', () => {
+        const tokens = new Lexer('"http://example.com"').tokenize();
+        assert.strictEqual(tokens[0].value, 'http://example.com');
+    });
+
+    test('AST nodes carry spans', () => {
+        const ast = parse('public class main(@self) {\n    let x = 1 + 2;\n}');
+        const declaration = ast.body[0] as ASTNode;
+        assert.deepStrictEqual(declaration.span, { start: { line: 1, column: 4 }, end: { line: 1, column: 18 } });
+        assert.deepStrictEqual(declaration.value.span, { start: { line: 1, column: 12 }, end: { line: 1, column: 17 } });
+    });
+
+    test('Lexer errors point at the offending character', () => {
+        assert.throws(() => new Lexer('let a = 1;\nlet b = #;').tokenize(), (e: PayJarError) => {
+            return e.span?.start.line === 1 && e.span.start.column === 8;
+        });
+    });
+
+    test('Syntax errors point at the unexpected token', () => {
+        assert.throws(() => parse('public class main(@self) {\n    let = 5;\n}'), (e: PayJarError) => {
+            return e.span?.start.line === 1 && e.span.start.column === 8;
+        });
+    });
+
+    test('Runtime errors point at the failing expression', () => {
+        const error = runError('public class main(@self) {\n    println(missing);\n}');
+        assert.deepStrictEqual(error.span, { start: { line: 1, column: 12 }, end: { line: 1, column: 19 } });
+    });
+});
+
+suite('PayJar Parser Error Recovery', () => {
+    test('Reports every syntax error in one pass', () => {
+        const code = [
+            'public class Main(@self) {',
+            '    let a = ;',
+            '    println(a);',
+            '    let = 3;',
+            '    func f(x) {',
+            '        return x +;',
+            '        println(x);',
+            '    }',
+            '    let b = 2;',
+            '}',
+        ].join('\n');
+        const { ast, errors } = new Parser(new Lexer(code).tokenize()).parseWithRecovery();
+        assert.deepStrictEqual(errors.map(e => e.span?.start.line), [1, 3, 5]);
+        assert.deepStrictEqual(ast.body.map(n => n.type), ['print_statement', 'function_definition', 'variable_declaration']);
+        assert.strictEqual(ast.body[1].body.length, 1);
+    });
+
+    test('Reports a missing closing brace without losing statements', () => {
+        const { ast, errors } = new Parser(new Lexer('public class Main(@self) {\n    println(1);').tokenize()).parseWithRecovery();
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(ast.body.length, 1);
+    });
+
+    test('Recovers inside a map literal without ending the main class', () => {
+        const code = main(
+            'let m = { "a": 1, "b": };',
+            'println(m);',
+            'let x = ;',
+            'println(x);',
+        );
+        const { ast, errors } = new Parser(new Lexer(code).tokenize()).parseWithRecovery();
+        assert.deepStrictEqual(errors.map(e => e.span?.start.line), [1, 3]);
+        assert.deepStrictEqual(ast.body.map(n => n.type), ['print_statement', 'print_statement']);
+    });
+
+    test('Syntax errors before an invalid character are reported with it', () => {
+        const errors = analyze(main('let a = ;', 'let b = 1 # 2;')).errors;
+        const messages = errors.map(e => `${e.span?.start.line}: ${e.message}`);
+        assert.ok(messages.includes('2: Lexer Error: Invalid character: #'), messages.join('\n'));
+        assert.ok(messages.includes('1: Syntax Error: Unexpected token in primary expression: SEMICOLON'), messages.join('\n'));
+    });
+
+    test('Lexing goes on past bad characters and strings', () => {
+        const errors = analyze(main('let a = 1 # ;', 'let s = "open;', 'let n = 0b12;', 'let b = ;')).errors;
+        assert.deepStrictEqual(errors.map(e => `${e.span?.start.line}: ${e.message}`), [
+            '1: Lexer Error: Invalid character: #',
+            '2: Lexer Error: Unterminated string literal (use \\n or a backtick string for multi-line text)',
+            '3: Syntax Error: Expected SEMICOLON, but got LET.',
+            "3: Lexer Error: Invalid number literal '0b12'",
+            '4: Syntax Error: Unexpected token in primary expression: SEMICOLON',
+        ]);
+    });
+
+    test('Recovers from a program cut short anywhere', () => {
+        for (let end = 0; end <= SAMPLE_PROGRAM.length; end++) {
+            let tokens;
+            try {
+                tokens = new Lexer(SAMPLE_PROGRAM.slice(0, end)).tokenize();
+            } catch (e) {
+                continue; // An unclosed string or comment
+            }
+            const { errors } = new Parser(tokens).parseWithRecovery();
+            assert.ok(errors.every(e => e instanceof PayJarError), `after ${JSON.stringify(SAMPLE_PROGRAM.slice(0, end))}`);
+        }
+    });
+
+    test('parse() still throws on the first error', () => {
+        assert.throws(() => parse('public class Main(@self) {\n    let a = ;\n    let = 3;\n}'), /Expected|Unexpected/);
+    });
+});
+
+suite('PayJar Control Flow', () => {
+    test('if / else if / else picks one branch', () => {
+        const code = (n: number) => main(
+            `let n = ${n};`,
+            'if (n < 0) { println("negative"); } else if (n == 0) { println("zero"); } else { println("positive"); }',
+        );
+        assert.deepStrictEqual(run(code(-3)), ['negative']);
+        assert.deepStrictEqual(run(code(0)), ['zero']);
+        assert.deepStrictEqual(run(code(7)), ['positive']);
+    });
+
+    test('while loops until the condition fails', () => {
+        assert.deepStrictEqual(run(main('let i = 0;', 'while (i < 3) { println(i); i = i + 1; }')), ['0', '1', '2']);
+    });
+
+    test('for loops with break and continue', () => {
+        const code = main(
+            'for (let i = 0; i < 10; i = i + 1) {',
+            '    if (i == 1) { continue; }',
+            '    if (i == 4) { break; }',
+            '    println(i);',
+            '}',
+        );
+        assert.deepStrictEqual(run(code), ['0', '2', '3']);
+    });
+
+    test('Blocks have their own scope', () => {
+        const code = main('let x = 1;', 'if (x == 1) { let x = 2; println(x); }', 'println(x);');
+        assert.deepStrictEqual(run(code), ['2', '1']);
+        assert.match(runError(main('for (let i = 0; i < 1; i = i + 1) { }', 'println(i);')).message, /Undefined variable 'i'/);
+    });
+
+    test('return from inside a loop in a function', () => {
+        const code = main(
+            'func firstOver(limit) {',
+            '    let i = 0;',
+            '    while (1 == 1) { if (i > limit) { return i; } i = i + 1; }',
+            '}',
+            'println(firstOver(4));',
+        );
+        assert.deepStrictEqual(run(code), ['5']);
+    });
+
+    test('break outside a loop is a syntax error', () => {
+        assert.throws(() => parse(main('break;')), /only allowed inside a loop/);
+        assert.throws(() => parse(main('while (1 == 1) { func f() { break; } }')), /only allowed inside a loop/);
+    });
+});
+
+suite('PayJar Booleans and Logic', () => {
+    test('Boolean and null literals', () => {
+        assert.deepStrictEqual(run(main('println(true);', 'println(false);', 'println(null);', 'println(1 < 2 == true);')), ['true', 'false', 'null', 'true']);
+    });
+
+    test('Logical operators short-circuit', () => {
+        const code = main(
+            'func loud(v) { println("evaluated"); return v; }',
+            'println(false && loud(true));',
+            'println(true || loud(false));',
+            'println(true && loud(false));',
+        );
+        assert.deepStrictEqual(run(code), ['false', 'true', 'evaluated', 'false']);
+    });
+
+    test('&& binds tighter than ||, and ! applies to one operand', () => {
+        assert.deepStrictEqual(run(main('println(true || false && false);', 'println(!false == true);', 'println(!(1 == 1));')), ['true', 'true', 'false']);
+    });
+
+    test('Truthiness: false, null, 0 and "" are falsy', () => {
+        const code = main(
+            'if (0 || "" || null || false) { println("wrong"); } else { println("all falsy"); }',
+            'if ("text" && 3) { println("truthy"); }',
+        );
+        assert.deepStrictEqual(run(code), ['all falsy', 'truthy']);
+    });
+
+    test('A lone & is still an invalid character', () => {
+        assert.throws(() => new Lexer('a & b').tokenize(), /Invalid character: &/);
+    });
+});
+
+suite('PayJar Numbers', () => {
+    const value = (literal: string) => parse(main(`let x = ${literal};`)).body[0].value.value;
+
+    test('Float, exponent, hex, binary and separator literals', () => {
+        assert.strictEqual(value('3.14'), 3.14);
+        assert.strictEqual(value('1.5e3'), 1500);
+        assert.strictEqual(value('2E-2'), 0.02);
+        assert.strictEqual(value('0xFF'), 255);
+        assert.strictEqual(value('0b1010'), 10);
+        assert.strictEqual(value('1_000_000'), 1000000);
+        assert.strictEqual(value('0xdead_beef'), 0xdeadbeef);
+    });
+
+    test('Malformed literals are lexer errors', () => {
+        for (const literal of ['1__0', '1_', '0b102', '0x', '12abc', '1.5_']) {
+            assert.throws(() => new Lexer(literal).tokenize(), /Invalid number literal/, literal);
+        }
+    });
+
+    test('A dot without a following digit is not part of the number', () => {
+        assert.deepStrictEqual(new Lexer('3.x').tokenize().map(t => t.type), ['NUMBER', 'DOT', 'IDENTIFIER']);
+    });
+
+    test('/ divides exactly and ~/ is integer division', () => {
+        assert.deepStrictEqual(run(main('println(7 / 2);', 'println(10.5 / 2);', 'println(7 ~/ 2);', 'println(-7 ~/ 2);', 'println(6 / 2);', 'println(-2 * -3);')), ['3.5', '5.25', '3', '-3', '3', '6']);
+        assert.match(runError(main('println(1 ~/ 0);')).message, /Integer division by zero/);
+    });
+
+    test('Arithmetic takes numbers, and + also joins strings', () => {
+        assert.deepStrictEqual(run(main('println("n = " + 1.5);', 'println([1] + "!");', 'println("x" + null);')), ['n = 1.5', '[1]!', 'xnull']);
+        const cases: [string, RegExp][] = [
+            ['"a" ~/ 2', /Operator '~\/' expects numbers, got string/],
+            ['1 - "a"', /Operator '-' expects numbers, got string/],
+            ['null + 1', /Operator '\+' expects numbers, got null/],
+            ['true + 1', /Operator '\+' expects numbers, got boolean/],
+            ['[1] + 1', /Operator '\+' expects numbers, got array/],
+        ];
+        for (const [expression, message] of cases) {
+            const error = runError(main(`println(${expression});`));
+            assert.match(error.message, message, expression);
+            assert.strictEqual(error.kind, 'TypeError');
+        }
+    });
+
+    test('Comparisons take two numbers or two strings', () => {
+        assert.deepStrictEqual(run(main('println(2 < 10);', 'println("b" >= "a");', 'println(null == 1);')), ['true', 'true', 'false']);
+        const cases: [string, RegExp][] = [
+            ['null < 1', /Operator '<' expects two numbers or two strings, got null and number/],
+            ['[2] > [10]', /Operator '>' expects two numbers or two strings, got array and array/],
+            ['1 < "2"', /Operator '<' expects two numbers or two strings, got number and string/],
+        ];
+        for (const [expression, message] of cases) {
+            const error = runError(main(`println(${expression});`));
+            assert.match(error.message, message, expression);
+            assert.strictEqual(error.kind, 'TypeError');
+        }
+    });
+});
+
+suite('PayJar Arrays', () => {
+    test('Array literals print with nested strings quoted', () => {
+        assert.deepStrictEqual(run(main('let a = [1, "two", [3, true], null,];', 'println(a);', 'println([]);')), ['[1, "two", [3, true], null]', '[]']);
+    });
+
+    test('Values that contain themselves print without recursing forever', () => {
+        const code = main(
+            'class Node(@inner_self) { let next = null; }',
+            'let a = [1];',
+            'a.push(a);',
+            'let m = {};',
+            'm["me"] = m;',
+            'let n = NEW Node();',
+            'n.next = n;',
+            'println(a);',
+            'println(m);',
+            'println(n);',
+            'let shared = [2];',
+            'println([shared, shared]);',
+        );
+        assert.deepStrictEqual(run(code), [
+            '[1, [...]]', '{"me": {...}}', '<Object Node (next=<Object Node ...>)>', '[[2], [2]]'
+        ]);
+    });
+
+    test('Index read and write', () => {
+        assert.deepStrictEqual(run(main('let a = [10, 20, 30];', 'a[1] = a[0] + a[2];', 'println(a[1]);', 'let grid = [[1, 2], [3, 4]];', 'grid[1][0] = 9;', 'println(grid);')), ['40', '[[1, 2], [9, 4]]']);
+    });
+
+    test('Index errors', () => {
+        assert.match(runError(main('let a = [1];', 'println(a[-1]);')).message, /Negative array index -1/);
+        assert.match(runError(main('let a = [1];', 'a[1] = 2;')).message, /out of range for an array of length 1/);
+        assert.match(runError(main('let a = [1];', 'println(a[0.5]);')).message, /must be an integer/);
+        assert.match(runError(main('let n = 5;', 'println(n[0]);')).message, /Cannot index into a value of type 'number'/);
+    });
+
+    test('push, pop, length and slice', () => {
+        const code = main(
+            'let a = [1, 2];',
+            'a.push(3, 4);',
+            'println(a.length);',
+            'println(a.pop());',
+            'println(a.slice(1));',
+            'println(a.slice(0, 2));',
+        );
+        assert.deepStrictEqual(run(code), ['4', '4', '[2, 3]', '[1, 2]']);
+        assert.match(runError(main('let a = [];', 'a.pop();')).message, /empty array/);
+        assert.match(runError(main('let a = [];', 'a.shuffle();')).message, /Method 'shuffle' not found on array/);
+    });
+
+    test('Arrays as object fields', () => {
+        const code = main(
+            'class Cart(@inner_self) { let items = []; }',
+            'let cart = NEW Cart();',
+            'cart.items.push("apple");',
+            'cart.items[0] = "pear";',
+            'println(cart.items);',
+            'println(cart);',
+        );
+        assert.deepStrictEqual(run(code), ['["pear"]', '<Object Cart (items=["pear"])>']);
+    });
+});
+
+suite('PayJar Maps', () => {
+    test('Map literals, access and assignment', () => {
+        const code = main(
+            'let m = { "a": 1, b: 2, 3: "three", };',
+            'println(m["b"]);',
+            'm["a"] = 10;',
+            'm["c"] = [1];',
+            'println(m);',
+            'println({});',
+        );
+        assert.deepStrictEqual(run(code), ['2', '{"a": 10, "b": 2, 3: "three", "c": [1]}', '{}']);
+    });
+
+    test('keys, values, has, remove and length', () => {
+        const code = main(
+            'let m = { x: 1, y: 2 };',
+            'println(m.keys());',
+            'println(m.values());',
+            'println(m.has("x"));',
+            'println(m.remove("x"));',
+            'println(m.has("x"));',
+            'println(m.length);',
+        );
+        assert.deepStrictEqual(run(code), ['["x", "y"]', '[1, 2]', 'true', 'true', 'false', '1']);
+    });
+
+    test('Missing keys and bad key types are errors', () => {
+        assert.match(runError(main('let m = {};', 'println(m["nope"]);')).message, /Key "nope" not found in map/);
+        assert.match(runError(main('let m = {};', 'm[[1]] = 2;')).message, /Map keys must be strings or numbers, got array/);
+    });
+
+    test('for-in iterates map keys and array elements', () => {
+        const code = main(
+            'let prices = { apple: 3, pear: 5 };',
+            'let total = 0;',
+            'for (let fruit in prices) { println(fruit); total = total + prices[fruit]; }',
+            'println(total);',
+            'for (const n in [7, 8, 9]) { if (n == 8) { continue; } println(n); }',
+        );
+        assert.deepStrictEqual(run(code), ['apple', 'pear', '8', '7', '9']);
+        assert.match(runError(main('for (let c in 5) { }')).message, /Cannot iterate over a value of type 'number'/);
+    });
+
+    test('Braces after if are still blocks', () => {
+        assert.deepStrictEqual(run(main('if (true) { println({ k: 1 }); }')), ['{"k": 1}']);
+    });
+});
+
+suite('PayJar Inheritance', () => {
+    const animals = [
+        'class Animal(@inner_self) {',
+        '    let name = "?";',
+        '    let legs = 4;',
+        '    func init(self, name) { self.name = name; }',
+        '    func sound(self) { return "..."; }',
+        '    func speak(self) { return self.name + " says " + sound(); }',
+        '}',
+        'class Dog(@inner_self) extends Animal {',
+        '    let tricks = 0;',
+        '    func init(self, name, tricks) { super.init(name); self.tricks = tricks; }',
+        '    func sound(self) { return "woof"; }',
+        '    func speak(self) { return super.speak() + "!"; }',
+        '}',
+        'class Puppy(@inner_self) extends Dog {',
+        '    func sound(self) { return "yip"; }',
+        '}',
+    ];
+
+    test('Inherited fields, overriding and super calls', () => {
+        const code = main(
+            ...animals,
+            'let d = NEW Dog("Rex", 3);',
+            'println(d.speak());',
+            'println(d.legs);',
+            'println(d.tricks);',
+            'let p = NEW Puppy("Bit", 1);',
+            'println(p.speak());',
+            'println(NEW Animal("Cat").speak());',
+        );
+        assert.deepStrictEqual(run(code), ['Rex says woof!', '4', '3', 'Bit says yip!', 'Cat says ...']);
+    });
+
+    test('Unknown base classes and cycles are reported', () => {
+        const unknown = runError(main('class A(@inner_self) extends Missing { }'));
+        assert.match(unknown.message, /Class 'A' extends unknown class 'Missing'/);
+        assert.strictEqual(unknown.span?.start.line, 1);
+        const cycle = runError(main('class A(@inner_self) extends B { }', 'class B(@inner_self) extends A { }'));
+        assert.match(cycle.message, /Inheritance cycle detected: A -> B -> A/);
+    });
+
+    test('super is only valid in methods of a subclass', () => {
+        assert.throws(() => parse(main('class A(@inner_self) { func f(self) { super.f(); } }')), /'super' is only allowed/);
+        assert.throws(() => parse(main('func f() { return super.f(); }')), /'super' is only allowed/);
+        assert.match(runError(main('class A(@inner_self) { }', 'class B(@inner_self) extends A { func f(self) { return super.g(); } }', 'let r = NEW B().f();')).message,
+            /Method 'g' not found in base class 'A' of 'B'/);
+    });
+
+    test('self works in statements and expressions', () => {
+        const code = main(
+            'class Counter(@inner_self) {',
+            '    let count = 0;',
+            '    func bump(self) { self.count = self.count + 1; return self; }',
+            '}',
+            'let c = NEW Counter();',
+            'c.bump();',
+            'println(c.bump().count);',
+        );
+        assert.deepStrictEqual(run(code), ['2']);
+    });
+});
+
+suite('PayJar Member Visibility', () => {
+    const account = [
+        'class Account(@inner_self) {',
+        '    private let balance = 0;',
+        '    public const owner = "ann";',
+        '    func deposit(self, amount) { self.balance = self.balance + amount; audit(); return self.balance; }',
+        '    private func audit(self) { println("audited"); }',
+        '}',
+        'class Savings(@inner_self) extends Account {',
+        '    func peek(self) { return self.balance; }',
+        '}',
+    ];
+
+    test('Private members are usable from the class\'s own methods', () => {
+        assert.deepStrictEqual(run(main(...account, 'let a = NEW Account();', 'println(a.deposit(5));', 'println(a.owner);')), ['audited', '5', 'ann']);
+    });
+
+    test('Private members are rejected from outside', () => {
+        assert.match(runError(main(...account, 'let a = NEW Account();', 'println(a.balance);')).message,
+            /Cannot access private field 'balance' of class 'Account'/);
+        assert.match(runError(main(...account, 'let a = NEW Account();', 'a.balance = 100;')).message,
+            /Cannot access private field 'balance' of class 'Account'/);
+        assert.match(runError(main(...account, 'let a = NEW Account();', 'a.audit();')).message,
+            /Cannot access private method 'audit' of class 'Account'/);
+        assert.deepStrictEqual(run(main(...account, 'try { println(NEW Account().balance); } catch (e) { println(e.kind); }')), ['AccessError']);
+    });
+
+    test('Subclass methods cannot reach private members of the base class', () => {
+        assert.match(runError(main(...account, 'let s = NEW Savings();', 'println(s.peek());')).message,
+            /Cannot access private field 'balance' of class 'Account'/);
+        assert.deepStrictEqual(run(main(...account, 'let s = NEW Savings();', 'println(s.deposit(2));')), ['audited', '2']);
+    });
+});
+
+suite('PayJar Functions and Closures', () => {
+    test('Field initializers see globals, not the scope that creates the object', () => {
+        const code = main(
+            'let limit = 10;',
+            'class Box(@inner_self) { let max = limit; let v = secret; }',
+            'func make() { let secret = 5; return NEW Box(); }',
+            'try { make(); } catch (e) { println(e.message); }',
+            'class Pair(@inner_self) { let a = 2; let b = self.a * 3; }',
+            'println(NEW Pair().b);',
+        );
+        assert.deepStrictEqual(run(code), ["Undefined variable 'secret'", '6']);
+    });
+
+    test('A bare return leaves early with null', () => {
+        const code = main(
+            'class Log(@inner_self) { let lines = []; func add(self, text) { if (text == "") { return; } self.lines.push(text); } }',
+            'func check(n) { if (n < 0) { return; } return n; }',
+            'let log = NEW Log();',
+            'log.add("");',
+            'log.add("a");',
+            'println([log.lines, check(-1), check(2)]);',
+        );
+        assert.deepStrictEqual(run(code), ['[["a"], null, 2]']);
+    });
+
+    test('Closures keep their own copy of the enclosing scope', () => {
+        const code = main(
+            'func makeCounter() {',
+            '    let count = 0;',
+            '    func next() { count = count + 1; return count; }',
+            '    return next;',
+            '}',
+            'let a = makeCounter();',
+            'let b = makeCounter();',
+            'a(); a();',
+            'println(a());',
+            'println(b());',
+        );
+        assert.deepStrictEqual(run(code), ['3', '1']);
+    });
+
+    test('Closures in a for loop capture that iteration\'s loop variable', () => {
+        const code = main(
+            'let fs = [];',
+            'for (let i = 0; i < 3; i++) { fs.push(() => i); }',
+            'println([fs[0](), fs[1](), fs[2]()]);',
+            'for (let j = 0; j < 5; j++) { func skip() { j = j + 1; } skip(); println(j); }',
+        );
+        assert.deepStrictEqual(run(code), ['[0, 1, 2]', '1', '3', '5']);
+    });
+
+    test('Lambdas, arrow functions and calls on any expression', () => {
+        const code = main(
+            'let double = func (x) { return x * 2; };',
+            'let add = (a, b) => a + b;',
+            'func makeAdder(n) { return x => x + n; }',
+            'let fs = [double, makeAdder(10)];',
+            'println(double(4));',
+            'println(add(2, 3));',
+            'println(makeAdder(1)(2));',
+            'println(fs[1](5));',
+            'println((() => "now")());',
+        );
+        assert.deepStrictEqual(run(code), ['8', '5', '3', '15', 'now']);
+    });
+
+    test('Functions are lexically scoped, not dynamically', () => {
+        const code = main(
+            'let x = "global";',
+            'func show() { return x; }',
+            'func caller() { let x = "local"; return show(); }',
+            'println(caller());',
+        );
+        assert.deepStrictEqual(run(code), ['global']);
+        assert.match(runError(main('func f() { return hidden; }', 'func g() { let hidden = 1; return f(); }', 'println(g());')).message,
+            /Undefined variable 'hidden'/);
+    });
+
+    test('Functions can be passed to array map and filter', () => {
+        const code = main(
+            'func isEven(n) { return n % 2 == 0; }',
+            'let xs = [1, 2, 3, 4];',
+            'println(xs.map(x => x * x));',
+            'println(xs.filter(isEven));',
+        );
+        assert.deepStrictEqual(run(code), ['[1, 4, 9, 16]', '[2, 4]']);
+        assert.match(runError(main('println([1].map(3));')).message, /expects a function, got number/);
+    });
+
+    test('Methods and lambdas inside them keep self', () => {
+        const code = main(
+            'class Scaler(@inner_self) {',
+            '    let factor = 3;',
+            '    func scaleAll(self, xs) { return xs.map(x => x * self.factor); }',
+            '    func scale(self, x) { return x * self.factor; }',
+            '}',
+            'let s = NEW Scaler();',
+            'let f = s.scale;',
+            'println(s.scaleAll([1, 2]));',
+            'println(f(5));',
+        );
+        assert.deepStrictEqual(run(code), ['[3, 6]', '15']);
+    });
+
+    test('Calling a non-function reports its type', () => {
+        assert.match(runError(main('let n = 1;', 'n();')).message, /'n' is not a function, it is a number/);
+        assert.match(runError(main('let xs = [1];', 'println(xs[0](1));')).message, /Cannot call a value of type 'number'/);
+    });
+});
+
+suite('PayJar Template Strings', () => {
+    test('Embedded expressions of any kind are evaluated', () => {
+        const code = main(
+            'class Pet(@inner_self) { let name = "Rex"; }',
+            'func twice(x) { return x * 2; }',
+            'let a = 4;',
+            'let p = NEW Pet();',
+            'println(`a+1=${a + 1}, name=${p.name}, f=${twice(a)}, list=${[1, "x"]}`);',
+            'println(`${a}${a}`);',
+            'println(`plain`);',
+        );
+        assert.deepStrictEqual(run(code), ['a+1=5, name=Rex, f=8, list=[1, "x"]', '44', 'plain']);
+    });
+
+    test('Nested strings, braces and templates inside an interpolation', () => {
+        const code = main(
+            'let m = {"k": "}"};',
+            'println(`[${m["k"]}] ${ {"a": 1}["a"] } ${`in${"ner"}`}`);',
+        );
+        assert.deepStrictEqual(run(code), ['[}] 1 inner']);
+    });
+
+    test('The lexer splits templates around their expressions', () => {
+        const tokens = new Lexer('`a${x}b${y}c`').tokenize();
+        assert.deepStrictEqual(tokens.map(t => [t.type, t.value]), [
+            ['TEMPLATE_HEAD', 'a'], ['IDENTIFIER', 'x'], ['TEMPLATE_MIDDLE', 'b'],
+            ['IDENTIFIER', 'y'], ['TEMPLATE_TAIL', 'c'],
+        ]);
+    });
+
+    test('Unterminated templates and bad interpolations are reported', () => {
+        assert.throws(() => new Lexer('let s = `abc;').tokenize(), /Unterminated template string/);
+        assert.throws(() => new Lexer('let s = `a${x;').tokenize(), /Unterminated template string/);
+        assert.throws(() => parse(main('println(`${}`);')), /Unexpected token in primary expression: TEMPLATE_TAIL/);
+    });
+});
+
+suite('PayJar String Escapes', () => {
+    const value = (source: string) => new Lexer(source).tokenize()[0].value;
+
+    test('Escape sequences in quoted and backtick strings', () => {
+        assert.strictEqual(value('"a\\nb\\tc\\r"'), 'a\nb\tc\r');
+        assert.strictEqual(value('"say \\"hi\\" \\\\ \\\'"'), 'say "hi" \\ \'');
+        assert.strictEqual(value('\'\\u{48}\\u{1F600}\''), 'H\u{1F600}');
+        assert.strictEqual(value('`tick \\` and \\${not}`'), 'tick ` and ${not}');
+    });
+
+    test('Invalid escapes are reported at their position', () => {
+        assert.throws(() => new Lexer('let s = "a\\qb";').tokenize(), (e: PayJarError) => {
+            assert.match(e.message, /Invalid escape sequence '\\q'/);
+            assert.deepStrictEqual(e.span, { start: { line: 0, column: 10 }, end: { line: 0, column: 12 } });
+            return true;
+        });
+        assert.throws(() => new Lexer('"\\u{110000}"').tokenize(), /Invalid Unicode escape/);
+        assert.throws(() => new Lexer('"\\u41"').tokenize(), /Invalid Unicode escape/);
+    });
+
+    test('Only backtick strings may span lines', () => {
+        assert.throws(() => new Lexer('let s = "one\ntwo";').tokenize(), /Unterminated string literal \(use \\n or a backtick string/);
+        assert.strictEqual(value('`one\r\ntwo`'), 'one\ntwo');
+        assert.deepStrictEqual(run(main('println(`a', 'b`);')), ['a\nb']);
+    });
+});
+
+suite('PayJar Input and Output', () => {
+    test('readln reads the supplied input line by line', () => {
+        const code = main(
+            'let name = readln("Name? ");',
+            'let age = readln();',
+            'println(`${name} is ${age}`);',
+            'println(readln());',
+        );
+        assert.deepStrictEqual(run(code, 'Ann\r\n42'), ['Ann is 42', 'null']);
+    });
+
+    test('The prompt is passed to the host', () => {
+        const prompts: string[] = [];
+        const host = new StringIOHost('x');
+        host.readLine = (prompt: string) => { prompts.push(prompt); return 'typed'; };
+        new Interpreter(host).interpret(parse(main('let n = 2;', 'println(readln(`Value ${n}: `));')));
+        assert.deepStrictEqual(prompts, ['Value 2: ']);
+        assert.deepStrictEqual(host.output, ['typed']);
+    });
+});
+
+suite('PayJar Program Runner', () => {
+    // Runs a program in the runner worker, answering each readln() with the next of `lines`
+    // (null for the end of input), and returns every message the worker posted.
+    function runInWorker(code: string, lines: (string | null)[] = []): Promise<RunnerMessage[]> {
+        const input = new SharedArrayBuffer(INPUT_BUFFER_BYTES);
+        const request: RunRequest = { type: 'run', code, input, limits: {} };
+        const worker = new Worker(path.join(__dirname, '..', 'runner.js'), { workerData: request });
+        const messages: RunnerMessage[] = [];
+        return new Promise((resolve, reject) => {
+            worker.on('message', (message: RunnerMessage) => {
+                messages.push(message);
+                if (message.type === 'input') {
+                    sendInput(input, lines.length > 0 ? lines.shift()! : null);
+                } else if (message.type === 'done') {
+                    worker.terminate().then(() => resolve(messages), reject);
+                }
+            });
+            worker.on('error', reject);
+        });
+    }
+
+    test('Output, prompts and typed lines go through the worker protocol', async () => {
+        const code = main('let name = readln("Name? ");', 'print(`Hi ${name}`);', 'println("!");', 'println(readln());');
+        assert.deepStrictEqual(await runInWorker(code, ['Ann']), [
+            { type: 'input', prompt: 'Name? ' },
+            { type: 'output', text: 'Hi Ann' },
+            { type: 'output', text: '!\n' },
+            { type: 'input', prompt: '' },
+            { type: 'output', text: 'null\n' },
+            { type: 'done', error: null },
+        ]);
+    });
+
+    test('Lines longer than the input buffer are cut to fit between characters', async () => {
+        const long = '€'.repeat(INPUT_BUFFER_BYTES);
+        const [, output] = await runInWorker(main('println(readln());'), [long]);
+        const text = output.type === 'output' ? output.text.trimEnd() : '';
+        assert.ok(/^€+$/.test(text) && text.length < long.length, `read ${text.length} characters`);
+        const buffer = new SharedArrayBuffer(16);
+        assert.strictEqual(sendInput(buffer, 'abc'), true);
+        assert.strictEqual(sendInput(buffer, 'abcdefg€'), false);
+    });
+
+    test('A worker started without a run request runs nothing', async () => {
+        const worker = new Worker(path.join(__dirname, '..', 'runner.js'), { workerData: { code: main('println(1);') } });
+        const messages: RunnerMessage[] = [];
+        worker.on('message', message => messages.push(message));
+        await new Promise(resolve => worker.on('exit', resolve));
+        assert.deepStrictEqual(messages, []);
+    });
+
+    test('Errors end the program with their message and span', async () => {
+        const messages = await runInWorker(main('println(1);', 'println(missing);'));
+        assert.deepStrictEqual(messages[messages.length - 1], {
+            type: 'done',
+            error: {
+                message: "Runtime Error: Undefined variable 'missing'",
+                span: { start: { line: 2, column: 8 }, end: { line: 2, column: 15 } },
+            },
+        });
+    });
+});
+
+suite('PayJar Execution Limits', () => {
+    const limited = (code: string, limits: object) => {
+        try {
+            new Interpreter(new StringIOHost(), limits).interpret(parse(code));
+        } catch (e) {
+            return (e as Error).message;
+        }
+        assert.fail('expected the program to be cancelled');
+    };
+
+    test('Endless loops are cancelled by the step and time limits', () => {
+        const loop = main('let i = 0;', 'while (true) { i = i + 1; }');
+        assert.match(limited(loop, { maxSteps: 10_000 }), /Execution cancelled: the program ran for more than 10000 steps/);
+        assert.match(limited(loop, { timeoutMs: 20 }), /Execution cancelled: the program ran for more than 0.02 seconds/);
+    });
+
+    test('Building a huge range counts against the limits', () => {
+        const huge = main('let r = range(1000000000);');
+        assert.match(limited(huge, { maxSteps: 10_000 }), /Execution cancelled: the program ran for more than 10000 steps/);
+        assert.match(limited(huge, { timeoutMs: 20 }), /Execution cancelled: the program ran for more than 0.02 seconds/);
+    });
+
+    test('Deep recursion reports the maximum recursion depth', () => {
+        const recurse = main('func f(n) { return f(n + 1); }', 'println(f(0));');
+        assert.match(limited(recurse, { maxCallDepth: 50 }), /Maximum recursion depth exceeded \(more than 50 nested calls\)/);
+        // The JavaScript stack may run out first; that is reported the same way.
+        assert.match(limited(recurse, { maxCallDepth: 1e9 }), /Maximum recursion depth exceeded/);
+        assert.deepStrictEqual(run(main('func f(n) { if (n == 0) { return 0; } return f(n - 1); }', 'println(f(49));')), ['0']);
+    });
+
+    test('The default depth limit fires before the stack runs out, and both can be caught', () => {
+        const recurse = (depth: number) => main(
+            'class R(@inner_self) { func down(self, n) { if (n == 0) { return 0; } return 1 + self.down(n - 1); } }',
+            `try { println(NEW R().down(${depth})); } catch (e) { println(e.kind); }`,
+        );
+        assert.deepStrictEqual(run(recurse(DEFAULT_LIMITS.maxCallDepth - 2)), [String(DEFAULT_LIMITS.maxCallDepth - 2)]);
+        assert.deepStrictEqual(run(recurse(DEFAULT_LIMITS.maxCallDepth)), ['RuntimeError']);
+
+        // Without a depth limit the JavaScript stack runs out instead.
+        const overflow = main('func f(n) { return f(n + 1); }', 'try { f(0); } catch (e) { println(e.message); }', 'f(0);');
+        const host = new StringIOHost();
+        assert.throws(() => new Interpreter(host, { maxCallDepth: 1e9 }).interpret(parse(overflow)),
+            (e: PayJarError) => /Maximum recursion depth exceeded/.test(e.message) && e.span !== null);
+        assert.deepStrictEqual(host.output, ['Maximum recursion depth exceeded.']);
+    });
+
+    test('Printing too much cancels the program', () => {
+        assert.match(limited(main('while (true) { println("spam"); }'), { maxOutputChars: 100 }),
+            /Execution cancelled: the program printed more than 100 characters/);
+    });
+});
+
+suite('PayJar Built-in Functions', () => {
+    test('print() continues the current line', () => {
+        assert.deepStrictEqual(run(main('print("a");', 'print(1);', 'println("!");', 'print("");', 'println("b");', 'print("c");')), ['a1!', 'b', 'c']);
+    });
+
+    test('Conversions and type inspection', () => {
+        const code = main(
+            'println(len("abc") + len([1, 2]) + len({"a": 1}));',
+            'println(str([1, "a"]) + str(2));',
+            'println(int("42") + int(-3.9) + int(true));',
+            'println(float(" 2.5 ") * 2);',
+            'println([type(1), type("s"), type([]), type(null), type(len)]);',
+        );
+        assert.deepStrictEqual(run(code), ['6', '[1, "a"]2', '40', '5', '["number", "string", "array", "null", "function"]']);
+        assert.match(runError(main('println(int("abc"));')).message, /int\(\) cannot convert "abc" to a number/);
+        assert.match(runError(main('println(len(5));')).message, /len\(\) expects a string, array or map, got number/);
+    });
+
+    test('Strings convert only when they hold a decimal number', () => {
+        assert.deepStrictEqual(run(main('println([float("-1.5e2"), float(".5"), float("+3."), int("007")]);')), ['[-150, 0.5, 3, 7]']);
+        for (const text of ['0x10', '0b1', 'Infinity', '-Infinity', '1e', '.', '1_000']) {
+            assert.match(runError(main(`println(int("${text}"));`)).message, /cannot convert/, text);
+        }
+    });
+
+    test('Math helpers and range', () => {
+        const code = main(
+            'println([abs(-2), min(3, 1, 2), max([4, 9, 2]), round(2.5), round(3.14159, 2)]);',
+            'println(range(3));',
+            'println(range(5, 0, -2));',
+            'println(range(1, 4).map(str));',
+        );
+        assert.deepStrictEqual(run(code), ['[2, 1, 9, 3, 3.14]', '[0, 1, 2]', '[5, 3, 1]', '["1", "2", "3"]']);
+        assert.match(runError(main('println(range(1, 5, 0));')).message, /range\(\) step cannot be zero/);
+        assert.match(runError(main('println(max());')).message, /Function 'max' expected at least 1 arguments but got 0/);
+    });
+
+    test('random repeats its sequence for the same seed', () => {
+        const code = main(
+            'seed(7);',
+            'let a = [random(), random(1, 6)];',
+            'seed(7);',
+            'let b = [random(), random(1, 6)];',
+            'println(str(a) == str(b));',
+            'println(a[0] >= 0 && a[0] < 1 && a[1] >= 1 && a[1] <= 6);',
+        );
+        assert.deepStrictEqual(run(code), ['true', 'true']);
+    });
+
+    test('print writes without a newline', () => {
+        assert.deepStrictEqual(run(main('print("a");', 'print(1);', 'println("b");', 'print("c");')), ['a1b', 'c']);
+    });
+
+    test('User functions and variables shadow built-ins', () => {
+        const code = main(
+            'func len(x) { return "mine"; }',
+            'func f() { let max = (a, b) => "local"; return max(1, 2); }',
+            'println(len([1]));',
+            'println(f());',
+            'println(max(1, 2));',
+        );
+        assert.deepStrictEqual(run(code), ['mine', 'local', '2']);
+    });
+});
+
+suite('PayJar String and Number Members', () => {
+    test('String members', () => {
+        const code = main(
+            'let s = "  Hello World ";',
+            'let t = s.trim();',
+            'println([s.length, t.upper(), t.lower()]);',
+            'println([t.split(" "), "a  b\tc".split(), "a,b".split(",")]);',
+            'println([t.contains("lo W"), t.startsWith("He"), t.replace("o", "0")]);',
+            'println([t.substring(6), t.substring(0, 5)]);',
+            'println(`${"x".upper()}`);',
+        );
+        assert.deepStrictEqual(run(code), [
+            '[14, "HELLO WORLD", "hello world"]',
+            '[["Hello", "World"], ["a", "b", "c"], ["a", "b"]]',
+            '[true, true, "Hell0 W0rld"]',
+            '["World", "Hello"]',
+            'X',
+        ]);
+    });
+
+    test('Number members', () => {
+        const code = main(
+            'let n = -3.14159;',
+            'println([n.toFixed(2), n.abs(), 255.toString(16), 2.5.toString(), (7).toString() + "!"]);',
+        );
+        assert.deepStrictEqual(run(code), ['["-3.14", 3.14159, "ff", "2.5", "7!"]']);
+    });
+
+    test('Unknown members list the available ones', () => {
+        assert.match(runError(main('println("abc".size);')).message,
+            /Field 'size' not found on string\. Available members: length, upper\(\), lower\(\), trim\(\), split\(\), contains\(\), replace\(\), substring\(\), startsWith\(\)/);
+        assert.match(runError(main('println((1).round());')).message,
+            /Method 'round' not found on number\. Available members: toString\(\), toFixed\(\), abs\(\)/);
+        assert.match(runError(main('println([1].size);')).message, /not found on array\. Available members: length, push\(\)/);
+        assert.match(runError(main('println("a".upper);')).message, /'upper' is a method of string; call it as upper\(\)/);
+    });
+
+    test('Names of Object.prototype members are ordinary names', () => {
+        assert.deepStrictEqual(run(main('let toString = "mine";', 'println(toString);')), ['mine']);
+        assert.match(runError(main('println(constructor);')).message, /Undefined variable 'constructor'/);
+        assert.match(runError(main('class A(@inner_self) { }', 'let a = NEW A();', 'println(a.toString());')).message,
+            /Method 'toString' not found on object of type 'A'/);
+    });
+
+    test('Member arguments are checked', () => {
+        assert.match(runError(main('println("abc".substring(2, 9));')).message, /expects an integer from 2 to 3, got 9/);
+        assert.match(runError(main('println("abc".contains(1));')).message, /expects a string argument, got number/);
+        assert.match(runError(main('println((1).toFixed());')).message, /Number method 'toFixed' expected 1 arguments but got 0/);
+    });
+});
+
+suite('PayJar Member Chains and Statements', () => {
+    const tree = [
+        'class Leaf(@inner_self) { let value = 1; let tags = [0, 0]; }',
+        'class Node(@inner_self) {',
+        '    let inner = NEW Leaf();',
+        '    func child(self) { return self.inner; }',
+        '    func setDeep(self, v) { self.inner.value = v; }',
+        '    func run(self) { println("ran"); }',
+        '}',
+        'func makeNode() { return NEW Node(); }',
+    ];
+
+    test('Member access and calls chain at any depth', () => {
+        const code = main(...tree,
+            'let n = NEW Node();',
+            'n.setDeep(3);',
+            'println(n.inner.value);',
+            'println(n.child().value + makeNode().child().value);',
+            'println(n.child().tags.length);',
+        );
+        assert.deepStrictEqual(run(code), ['3', '4', '2']);
+    });
+
+    test('Assignment to nested member and index targets', () => {
+        const code = main(...tree,
+            'let n = NEW Node();',
+            'n.inner.value = 7;',
+            'n.child().tags[1] = 5;',
+            'let grid = [[1, 2], [3, 4]];',
+            'grid[1][0] = 9;',
+            'let m = {"k": [1]};',
+            'm["k"][0] = 2;',
+            'println([n.inner.value, n.inner.tags, grid, m]);',
+        );
+        assert.deepStrictEqual(run(code), ['[7, [0, 5], [[1, 2], [9, 4]], {"k": [2]}]']);
+    });
+
+    test('Any call can be a statement', () => {
+        const code = main(...tree,
+            'class B(@inner_self) { func init(self) { println("made"); } func f(self) { println("f"); } }',
+            'makeNode().run();',
+            'NEW B().f();',
+            'NEW B();',
+            '(x => { println(x); })("arrow");',
+            'for (let i = 0; i < 2; makeNode().run()) { i = i + 1; }',
+        );
+        assert.deepStrictEqual(run(code), ['ran', 'made', 'f', 'made', 'arrow', 'ran', 'ran']);
+    });
+
+    test('Non-call expressions and invalid targets are rejected', () => {
+        assert.throws(() => parse(main('let a = 1;', 'a;')), /Only assignments and calls can be used as statements/);
+        assert.throws(() => parse(main('let o = 1;', 'o.f() = 2;')), /Invalid assignment target/);
+        assert.throws(() => parse(main('f() = 2;')), /Invalid assignment target/);
+    });
+});
+
+suite('PayJar Compound Assignment and Increment', () => {
+    const counter = [
+        'class Counter(@inner_self) {',
+        '    let count = 0;',
+        '    const limit = 10;',
+        '    private let secret = 1;',
+        '}',
+    ];
+
+    test('Compound operators update variables, fields and elements', () => {
+        const code = main(...counter,
+            'let x = 10;',
+            'x += 5; x -= 3; x *= 2; x /= 4; x %= 4;',
+            'let s = "a";',
+            's += "b";',
+            'let c = NEW Counter();',
+            'c.count += 7;',
+            'let items = [1, 2, 3];',
+            'items[1] *= 10;',
+            'let m = {"k": 1};',
+            'm["k"] -= 1;',
+            'println([x, s, c.count, items, m]);',
+        );
+        assert.deepStrictEqual(run(code), ['[2, "ab", 7, [1, 20, 3], {"k": 0}]']);
+    });
+
+    test('Prefix and postfix increment and decrement', () => {
+        const code = main(...counter,
+            'let i = 0;',
+            'i++; ++i;',
+            'println(i++);',
+            'println(++i);',
+            'println(i--);',
+            'println(--i);',
+            'let c = NEW Counter();',
+            'c.count++;',
+            'let items = [5];',
+            'items[0]--;',
+            'println([c.count, items]);',
+            'let total = 0;',
+            'for (let j = 0; j < 4; j++) { total += j; }',
+            'println(total);',
+        );
+        assert.deepStrictEqual(run(code), ['2', '4', '4', '2', '[1, [4]]', '6']);
+    });
+
+    test('Targets are evaluated once', () => {
+        const code = main(
+            'let calls = 0;',
+            'func next() { calls++; return 0; }',
+            'let items = [1];',
+            'items[next()] += 1;',
+            'items[next()]++;',
+            'println([items, calls]);',
+        );
+        assert.deepStrictEqual(run(code), ['[[3], 2]']);
+    });
+
+    test('Constant, private and non-numeric targets are rejected', () => {
+        assert.match(runError(main('const x = 1;', 'x += 1;')).message, /Cannot assign to a constant variable 'x'/);
+        assert.match(runError(main(...counter, 'let c = NEW Counter();', 'c.limit++;')).message,
+            /Cannot assign to constant field 'limit'/);
+        assert.match(runError(main(...counter, 'let c = NEW Counter();', 'c.secret -= 1;')).message,
+            /Cannot access private field 'secret'/);
+        assert.match(runError(main('let s = "a";', 's++;')).message, /Operator '\+\+' requires a number, got string/);
+        assert.match(runError(main('let x = 1;', 'x /= 0;')).message, /Division by zero/);
+        assert.throws(() => parse(main('f() += 1;')), /Invalid assignment target/);
+        assert.throws(() => parse(main('let x = 1;', '(x + 1)++;')), /Invalid assignment target/);
+    });
+});
+
+suite('PayJar Exceptions', () => {
+    test('Runtime errors are caught as error objects of the right kind', () => {
+        const code = main(
+            'let cases = [() => { return 1 / 0; }, () => { return missing; }, () => { return len(5); }, () => { return [1][3]; }];',
+            'for (let f in cases) {',
+            '    try { f(); } catch (e) { println(`${e.kind}: ${e.message}`); }',
+            '}',
+            'println(type(error("x")));',
+        );
+        assert.deepStrictEqual(run(code), [
+            'RuntimeError: Division by zero.',
+            "NameError: Undefined variable 'missing'",
+            'TypeError: len() expects a string, array or map, got number.',
+            'IndexError: Array index 3 is out of range for an array of length 1.',
+            'error',
+        ]);
+    });
+
+    test('The kind of an error does not depend on the names in its message', () => {
+        const code = main(
+            'class Box(@inner_self) { let value = 1; }',
+            'let cases = [() => { return constant; }, () => { return NEW Box().constant; }, () => { return [1]["0"]; }];',
+            'for (let f in cases) {',
+            '    try { f(); } catch (e) { println(e.kind); }',
+            '}',
+        );
+        assert.deepStrictEqual(run(code), ['NameError', 'NameError', 'TypeError']);
+    });
+
+    test('Thrown values reach the catch block unchanged', () => {
+        const code = main(
+            'class Oops(@inner_self) { let code = 7; }',
+            'try { throw "plain"; } catch (e) { println(e); }',
+            'try { throw error("bad input", "ValueError"); } catch (e) { println([e.kind, e.message]); }',
+            'try { throw NEW Oops(); } catch (e) { println(e.code); }',
+            'try { throw 42; } catch (e) { println(e + 1); }',
+        );
+        assert.deepStrictEqual(run(code), ['Error: plain', '["ValueError", "bad input"]', '7', '43']);
+    });
+
+    test('Finally runs on every exit and catch can rethrow', () => {
+        const code = main(
+            'func attempt(fail) {',
+            '    try {',
+            '        if (fail) { throw "failed"; }',
+            '        return "ok";',
+            '    } finally {',
+            '        println("cleanup");',
+            '    }',
+            '}',
+            'println(attempt(false));',
+            'try { attempt(true); } catch (e) { println(e.message); }',
+            'for (let i = 0; i < 3; i++) {',
+            '    try { if (i == 1) { break; } } finally { println(`after ${i}`); }',
+            '}',
+            'try {',
+            '    try { throw "inner"; } catch (e) { throw e; } finally { println("inner finally"); }',
+            '} catch (e) {',
+            '    println(`outer got ${e.message}`);',
+            '}',
+        );
+        assert.deepStrictEqual(run(code), [
+            'cleanup', 'ok', 'cleanup', 'failed', 'after 0', 'after 1', 'inner finally', 'outer got inner',
+        ]);
+    });
+
+    test('Error objects carry the call stack', () => {
+        const code = main(
+            'class Parser(@inner_self) {',
+            '    func parse(self, text) {',
+            '        return int(text);',
+            '    }',
+            '}',
+            'func load(text) {',
+            '    return NEW Parser().parse(text);',
+            '}',
+            'try {',
+            '    load("abc");',
+            '} catch (e) {',
+            '    println(e.stack);',
+            '}',
+        );
+        assert.deepStrictEqual(run(code), [
+            '["at Parser.parse (line 4)", "at load (line 8)", "at main (line 11)"]',
+        ]);
+    });
+
+    test('Uncaught throws end the program', () => {
+        const error = runError(main('throw error("no config", "ConfigError");'));
+        assert.match(error.message, /Uncaught ConfigError: no config/);
+        assert.strictEqual(error.span?.start.line, 1);
+    });
+
+    test('Execution limits cannot be caught', () => {
+        const host = new StringIOHost();
+        const code = main('try { while (true) { } } catch (e) { println("caught"); }');
+        assert.throws(() => new Interpreter(host, { maxSteps: 1000 }).interpret(parse(code)), /Execution cancelled/);
+        assert.deepStrictEqual(host.output, []);
+    });
+
+    test('Try needs a catch or finally block', () => {
+        assert.throws(() => parse(main('try { println(1); }')), /'try' must be followed by a catch or finally block/);
+        assert.throws(() => parse(main('try { } catch { }')), /Expected LPAREN/);
+    });
+});
+
+suite('PayJar Semantic Tokens', () => {
+    // Token text, type and modifiers, in source order.
+    function classify(code: string): string[] {
+        const lines = code.split('\n');
+        return semanticTokens(analyze(code)).map(({ span, type, modifiers }) => {
+            const text = lines[span.start.line].slice(span.start.column, span.end.column);
+            return [text, type, ...modifiers].join(' ');
+        });
+    }
+
+    test('Classes, members, functions, parameters and variables', () => {
+        const code = main(
+            'class Counter(@inner_self) {',
+            '    const step = 1;',
+            '    let count = 0;',
+            '    func add(self, n) { self.count = self.count + n * self.step; }',
+            '}',
+            'func make() { return NEW Counter(); }',
+            'const c = make();',
+            'let total = len([c]);',
+            'c.add(total);',
+        );
+        assert.deepStrictEqual(classify(code), [
+            'Main class declaration',
+            'Counter class declaration',
+            'step property declaration readonly',
+            'count property declaration',
+            'add method declaration',
+            'self variable readonly defaultLibrary',
+            'n parameter declaration',
+            'self variable readonly defaultLibrary',
+            'count property',
+            'self variable readonly defaultLibrary',
+            'count property',
+            'n parameter',
+            'self variable readonly defaultLibrary',
+            'step property readonly',
+            'make function declaration',
+            'Counter class',
+            'c variable declaration readonly',
+            'make function',
+            'total variable declaration',
+            'len function readonly defaultLibrary',
+            'c variable readonly',
+            'c variable readonly',
+            'add method',
+            'total variable',
+        ]);
+    });
+
+    test('Names resolve through scopes and shadowing', () => {
+        const code = main(
+            'let x = 1;',
+            'func show() { println(x); }',
+            'for (const x in [1]) { println(x); }',
+            'try { } catch (x) { println(x); }',
+        );
+        const kinds = classify(code).filter(token => token.startsWith('x '));
+        assert.deepStrictEqual(kinds, [
+            'x variable declaration',
+            'x variable',
+            'x variable declaration readonly',
+            'x variable readonly',
+            'x variable declaration',
+            'x variable',
+        ]);
+    });
+
+    test('Files with syntax errors still get tokens', () => {
+        const code = main(
+            'let a = 1;',
+            'let b = ;',
+            'func f(p) { return p; }',
+            'let c = `${a} #',
+        );
+        const tokens = classify(code);
+        assert.ok(tokens.includes('a variable declaration'));
+        assert.ok(tokens.includes('p parameter declaration'));
+        assert.ok(tokens.includes('f function declaration'));
+    });
+
+    test('Programs cut short anywhere are still analyzed', () => {
+        for (let end = 0; end <= SAMPLE_PROGRAM.length; end++) {
+            const code = SAMPLE_PROGRAM.slice(0, end);
+            const lines = code.split('\n');
+            const analysis = analyze(code);
+            semanticTokens(analysis);
+            outline(analysis);
+            completionsAt(analysis, { line: lines.length - 1, column: lines[lines.length - 1].length });
+        }
+    });
+});
+
+suite('PayJar Outline', () => {
+    function describe(symbols: OutlineSymbol[], depth: number = 0): string[] {
+        return symbols.flatMap(symbol => [
+            `${'  '.repeat(depth)}${symbol.kind} ${symbol.name}${symbol.detail ? ` ${symbol.detail}` : ''}`,
+            ...describe(symbol.children, depth + 1),
+        ]);
+    }
+
+    test('Main class, classes with members, functions and variables', () => {
+        const code = main(
+            'class Shape(@inner_self) {',
+            '    const sides = 0;',
+            '    private let name = "shape";',
+            '    func init(self, name) { self.name = name; }',
+            '    func area(self) { return 0; }',
+            '}',
+            'class Square(@inner_self) extends Shape { }',
+            'func describe(shape, verbose) { let text = ""; return text; }',
+            'const LIMIT = 3;',
+            'let shapes = [];',
+            'println(LIMIT);',
+        );
+        assert.deepStrictEqual(describe(outline(analyze(code))), [
+            'class Main main',
+            '  class Shape',
+            '    constant sides',
+            '    field name private',
+            '    constructor init (name)',
+            '    method area ()',
+            '  class Square extends Shape',
+            '  function describe (shape, verbose)',
+            '  constant LIMIT',
+            '  variable shapes',
+        ]);
+    });
+
+    test('Name ranges lie inside their definitions', () => {
+        const code = main('class A(@inner_self) {', '    private func f(self) { }', '}', 'let x = 1;', 'let y = ;');
+        const check = (symbol: OutlineSymbol) => {
+            const { span, selection_span: name } = symbol;
+            const before = (a: typeof name.start, b: typeof name.start) => a.line < b.line || (a.line === b.line && a.column <= b.column);
+            assert.ok(before(span.start, name.start) && before(name.end, span.end), symbol.name);
+            symbol.children.forEach(check);
+        };
+        const symbols = outline(analyze(code));
+        assert.deepStrictEqual(describe(symbols), ['class Main main', '  class A', '    method f private ()', '  variable x']);
+        symbols.forEach(check);
+    });
+});
+
+suite('PayJar Navigation and Rename', () => {
+    // Position of the n-th occurrence (from 0) of a word in the code.
+    function find(code: string, word: string, occurrence: number = 0): SourcePosition {
+        const lines = code.split('\n');
+        let seen = 0;
+        for (let line = 0; line < lines.length; line++) {
+            const pattern = new RegExp(`\\b${word}\\b`, 'g');
+            for (const match of lines[line].matchAll(pattern)) {
+                if (seen++ === occurrence) {
+                    return { line, column: match.index! };
+                }
+            }
+        }
+        throw new Error(`'${word}' #${occurrence} not found`);
+    }
+
+    function definitionOf(code: string, word: string, occurrence: number): SourcePosition | null {
+        return referenceAt(analyze(code), find(code, word, occurrence))?.symbol.span?.start ?? null;
+    }
+
+    function rename(code: string, word: string, occurrence: number, newName: string): string {
+        const plan = planRename(analyze(code), code, find(code, word, occurrence), newName);
+        if ('error' in plan) {
+            return plan.error;
+        }
+        const lines = code.split('\n');
+        for (const { start, end } of [...plan.spans].reverse()) {
+            lines[start.line] = lines[start.line].slice(0, start.column) + newName + lines[start.line].slice(end.column);
+        }
+        return lines.join('\n');
+    }
+
+    const program = main(
+        'class Point(@inner_self) {',
+        '    let x = 0;',
+        '    func move(self, dx) { self.x = self.x + dx; }',
+        '}',
+        'func shift(p) { p.move(1); }',
+        'let point = NEW Point();',
+        'point.move(2);',
+        'shift(point);',
+        'let x = 5;',
+        'for (let i = 0; i < 1; i++) { let x = 6; println(x); }',
+        'println(x);',
+    );
+
+    test('Definitions of variables, functions, classes, fields and methods', () => {
+        assert.deepStrictEqual(definitionOf(program, 'Point', 1), find(program, 'Point', 0));
+        assert.deepStrictEqual(definitionOf(program, 'x', 2), find(program, 'x', 0));
+        assert.deepStrictEqual(definitionOf(program, 'move', 2), find(program, 'move', 0));
+        assert.deepStrictEqual(definitionOf(program, 'shift', 1), find(program, 'shift', 0));
+        assert.deepStrictEqual(definitionOf(program, 'x', 5), find(program, 'x', 4));
+        assert.deepStrictEqual(definitionOf(program, 'x', 6), find(program, 'x', 3));
+        assert.strictEqual(definitionOf(program, 'move', 1), null, 'the class of p is unknown');
+    });
+
+    test('References leave shadowing declarations out', () => {
+        const analysis = analyze(program);
+        const outer = referenceAt(analysis, find(program, 'x', 3))!.symbol;
+        const lines = referencesTo(analysis, outer).map(({ span }) => span.start.line);
+        assert.deepStrictEqual(lines, [9, 11]);
+    });
+
+    test('Rename respects shadowing', () => {
+        const code = main('let total = 1;', 'func f(n) { let total = n; return total; }', 'println(total + f(2));');
+        assert.strictEqual(rename(code, 'total', 0, 'sum'),
+            main('let sum = 1;', 'func f(n) { let total = n; return total; }', 'println(sum + f(2));'));
+        assert.strictEqual(rename(code, 'n', 1, 'value'),
+            main('let total = 1;', 'func f(value) { let total = value; return total; }', 'println(total + f(2));'));
+    });
+
+    test('Rename refuses keywords and clashing names', () => {
+        const code = main('let a = 1;', 'let b = 2;', 'func f() { let c = 3; return a + c; }', 'println(len([a, b]));');
+        assert.match(rename(code, 'a', 0, 'while'), /'while' is a keyword/);
+        assert.match(rename(code, 'a', 0, '2a'), /not a valid name/);
+        assert.match(rename(code, 'a', 0, 'b'), /already declared in the same scope/);
+        assert.match(rename(code, 'c', 0, 'a'), /would change which declaration/);
+        assert.match(rename(code, 'f', 0, 'len'), /would change which declaration/);
+        assert.match(rename(code, 'len', 0, 'size'), /built in/);
+        assert.ok(!rename(code, 'c', 0, 'd').includes('cannot'));
+    });
+
+    test('Rename of members', () => {
+        assert.match(rename(program, 'move', 0, 'go'), /objects of unknown class/);
+        const code = main(
+            'class A(@inner_self) { let v = 1; func get(self) { return self.v; } }',
+            'class B(@inner_self) extends A { func get(self) { return 2; } }',
+            'let a = NEW A();',
+            'println(a.v);',
+        );
+        assert.strictEqual(rename(code, 'v', 2, 'value'), main(
+            'class A(@inner_self) { let value = 1; func get(self) { return self.value; } }',
+            'class B(@inner_self) extends A { func get(self) { return 2; } }',
+            'let a = NEW A();',
+            'println(a.value);',
+        ));
+        assert.match(rename(code, 'get', 0, 'fetch'), /also declared in the related class 'B'/);
+        assert.match(rename(code, 'v', 0, 'get'), /already has a member named 'get'/);
+    });
+});
+
+suite('PayJar Completion', () => {
+    // Completions at the `|` in the code.
+    function complete(code: string): Completion[] {
+        const offset = code.indexOf('|');
+        const before = code.slice(0, offset).split('\n');
+        const position = { line: before.length - 1, column: before[before.length - 1].length };
+        return completionsAt(analyze(code.slice(0, offset) + code.slice(offset + 1)), position);
+    }
+
+    function labels(code: string): string[] {
+        return complete(code).map(({ label }) => label);
+    }
+
+    // Two classes, with `body` as the body of Square.scale().
+    const shapes = (body: string = '') => [
+        'class Shape(@inner_self) {',
+        '    let name = "shape";',
+        '    private let secret = 1;',
+        '    func init(self, name) { self.name = name; }',
+        '    func area(self) { return 0; }',
+        '}',
+        'class Square(@inner_self) extends Shape {',
+        '    let side = 1;',
+        `    func scale(self, factor, origin) { ${body} }`,
+        '}',
+    ];
+
+    test('Keywords valid at the cursor', () => {
+        const top = labels(main('let a = 1;', '|'));
+        assert.ok(['let', 'if', 'for', 'class', 'println', 'NEW'].every(word => top.includes(word)));
+        assert.ok(!top.includes('return') && !top.includes('break') && !top.includes('else') && !top.includes('true'));
+
+        const loop = labels(main('func f(n) {', '    while (n > 0) { if (n) { | } }', '}'));
+        assert.ok(loop.includes('return') && loop.includes('break') && !loop.includes('class'));
+
+        const expression = labels(main('let a = |'));
+        assert.ok(expression.includes('true') && expression.includes('NEW') && !expression.includes('let'));
+
+        assert.deepStrictEqual(labels(main('class A(@inner_self) {', '    |', '}')).sort(),
+            ['const', 'func', 'let', 'private', 'public', 'var']);
+        const after = (block: string) => labels(main(block, '|')).filter(word => ['else', 'catch', 'finally'].includes(word));
+        assert.deepStrictEqual(after('if (true) { }'), ['else']);
+        assert.deepStrictEqual(after('if (true) { } else if (false) { if (true) { } }'), ['else']);
+        assert.deepStrictEqual(after('try { }'), ['catch', 'finally']);
+        assert.deepStrictEqual(after('try { } catch (e) { }'), ['finally']);
+        assert.deepStrictEqual(after('while (true) { if (true) { } }'), []);
+        assert.deepStrictEqual(after('if (true) { } else { }'), []);
+        assert.deepStrictEqual(labels(main('let |')), []);
+        assert.deepStrictEqual(labels(main('println("a b|");')), []);
+    });
+
+    test('Names in scope, including the word being typed', () => {
+        const names = labels(main(
+            'let outer = 1;',
+            'func helper(a) { return a; }',
+            'if (outer) { let hidden = 2; }',
+            'for (let i = 0; i < 3; i++) {',
+            '    let inner = i;',
+            '    println(in|);',
+            '    let later = 0;',
+            '}',
+        ));
+        assert.ok(['outer', 'helper', 'i', 'inner', 'len', 'range'].every(name => names.includes(name)));
+        assert.ok(!names.includes('hidden') && !names.includes('later') && !names.includes('a'));
+
+        // A function body sees every name of the block it is defined in.
+        const body = labels(main('func f() { return | }', 'let defined_later = 1;'));
+        assert.ok(body.includes('defined_later'));
+
+        const shadowed = complete(main('let x = NEW Shape("a");', 'func f() { let x = 2; | }'));
+        assert.strictEqual(shadowed.filter(({ label }) => label === 'x').length, 1);
+    });
+
+    test('Class names and constructor arguments after NEW', () => {
+        const classes = complete(main(...shapes(), 'let s = NEW |'));
+        assert.deepStrictEqual(classes.map(({ label, parameters }) => [label, parameters]),
+            [['Shape', ['name']], ['Square', ['name']]]);
+        assert.deepStrictEqual(labels(main('class B(@inner_self) extends |')), []);
+        assert.deepStrictEqual(labels(main(...shapes(), 'class C(@inner_self) extends |')), ['Shape', 'Square']);
+    });
+
+    test('Members after self, super and variables created with NEW', () => {
+        assert.deepStrictEqual(labels(main(...shapes('self.|'))), ['side', 'scale', 'name', 'area']);
+        assert.deepStrictEqual(labels(main(...shapes('super.|'))), ['area']);
+        const inShape = labels(main(...shapes(), 'class T(@inner_self) extends Shape { func f(self) { self.| } }'));
+        assert.ok(!inShape.includes('secret'), 'private members of a base class are not accessible');
+
+        const outside = complete(main(...shapes(), 'let sq = NEW Square();', 'sq.sc|'));
+        assert.deepStrictEqual(outside.map(({ label }) => label), ['side', 'scale', 'name', 'area']);
+        const scale = outside.find(({ label }) => label === 'scale')!;
+        assert.deepStrictEqual([scale.kind, scale.parameters, scale.detail], ['method', ['factor', 'origin'], '(factor, origin)']);
+
+        assert.deepStrictEqual(labels(main('let n = 1;', 'n.|')), []);
+    });
+
+    test('Call parameters of functions and built-ins', () => {
+        const items = complete(main('func add(a, b) { return a + b; }', 'let f = (x) => x;', '|'));
+        const byLabel = (label: string) => items.find(item => item.label === label)!;
+        assert.deepStrictEqual(byLabel('add').parameters, ['a', 'b']);
+        assert.strictEqual(byLabel('f').parameters, null);
+        assert.deepStrictEqual(byLabel('round').parameters, ['x']);
+        assert.deepStrictEqual(byLabel('random').parameters, []);
+        assert.deepStrictEqual([byLabel('len').kind, byLabel('len').detail], ['builtin', 'len(value)']);
+    });
+});